@@ -0,0 +1,19 @@
+/**
+ * API Key Scopes
+ * What a personal API key may be allowed to do. Routes opt in with
+ * requireScope(...) from middleware/auth.js; every other route
+ * rejects API keys.
+ */
+
+const API_SCOPES = {
+  'profile:read': 'Read your own profile',
+  'posts:read': 'Read your feed and bookmarks',
+  'posts:write': 'Create and edit posts, including in groups',
+  'campaigns:read': 'Read your campaigns and their stats',
+  'donations:read': 'Read the donation ledger of your campaigns'
+};
+
+module.exports = {
+  API_SCOPES,
+  SCOPE_NAMES: Object.keys(API_SCOPES)
+};
@@ -0,0 +1,121 @@
+/**
+ * Badges
+ * Achievements shown on member profiles. Each badge is earned when one
+ * of the member's metrics (see services/badges.js) reaches its
+ * threshold. Badges are kept once earned, even if the metric drops.
+ *
+ * Ids are stored on User.badges: never rename one, add a new badge instead.
+ */
+
+// Engagement score as in trending: weighted reactions, comments and
+// shares (config/reactions.js)
+const HIGH_ENGAGEMENT = parseInt(process.env.BADGE_POST_ENGAGEMENT) || 100;
+
+const BADGES = [
+  // Donors
+  {
+    id: 'first_donation',
+    name: 'First Donation',
+    description: 'Made a first donation to a campaign',
+    icon: '💝',
+    metric: 'donationCount',
+    threshold: 1
+  },
+  {
+    id: 'supporter',
+    name: 'Supporter',
+    description: 'Donated $100 in total',
+    icon: '🥉',
+    metric: 'totalDonated',
+    threshold: 100
+  },
+  {
+    id: 'champion',
+    name: 'Champion',
+    description: 'Donated $1,000 in total',
+    icon: '🥈',
+    metric: 'totalDonated',
+    threshold: 1000
+  },
+  {
+    id: 'patron',
+    name: 'Patron',
+    description: 'Donated $10,000 in total',
+    icon: '🥇',
+    metric: 'totalDonated',
+    threshold: 10000
+  },
+
+  // Organizers
+  {
+    id: 'goal_reached',
+    name: 'Goal Reached',
+    description: 'Ran a campaign that was fully funded',
+    icon: '🎯',
+    metric: 'fundedCampaigns',
+    threshold: 1
+  },
+  {
+    id: 'serial_fundraiser',
+    name: 'Serial Fundraiser',
+    description: 'Ran 5 fully funded campaigns',
+    icon: '🚀',
+    metric: 'fundedCampaigns',
+    threshold: 5
+  },
+
+  // Group founders
+  {
+    id: 'group_founder',
+    name: 'Group Founder',
+    description: 'Created a group with more than 10 members',
+    icon: '🌱',
+    metric: 'largestGroupSize',
+    threshold: 11
+  },
+  {
+    id: 'community_builder',
+    name: 'Community Builder',
+    description: 'Created a group with more than 100 members',
+    icon: '🏛️',
+    metric: 'largestGroupSize',
+    threshold: 101
+  },
+
+  // Contributors
+  {
+    id: 'conversation_starter',
+    name: 'Conversation Starter',
+    description: 'Wrote a post with high engagement',
+    icon: '💬',
+    metric: 'engagingPosts',
+    threshold: 1
+  },
+  {
+    id: 'thought_leader',
+    name: 'Thought Leader',
+    description: 'Wrote 10 posts with high engagement',
+    icon: '💡',
+    metric: 'engagingPosts',
+    threshold: 10
+  }
+];
+
+const BADGES_BY_ID = new Map(BADGES.map(badge => [badge.id, badge]));
+
+/**
+ * Earned badges (User.badges entries) as shown on profiles.
+ * Entries for badges that no longer exist are left out.
+ */
+const describeBadges = (earned = []) => earned
+  .filter(entry => BADGES_BY_ID.has(entry.badge))
+  .map(entry => {
+    const { id, name, description, icon } = BADGES_BY_ID.get(entry.badge);
+    return { id, name, description, icon, awardedAt: entry.awardedAt };
+  });
+
+module.exports = {
+  HIGH_ENGAGEMENT,
+  BADGES,
+  describeBadges
+};
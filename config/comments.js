@@ -0,0 +1,23 @@
+/**
+ * Comments
+ * Limits for threaded comments on posts.
+ */
+
+// Top-level comments are depth 0; a reply to a comment at MAX_DEPTH is refused
+const MAX_DEPTH = parseInt(process.env.COMMENT_MAX_DEPTH) || 3;
+
+// Newest top-level comments sent with each post in feeds
+const PREVIEW_SIZE = 2;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const SORTS = ['newest', 'oldest', 'top'];
+
+module.exports = {
+  MAX_DEPTH,
+  PREVIEW_SIZE,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SORTS
+};
@@ -0,0 +1,51 @@
+/**
+ * Support Impersonation
+ * Staff with 'users:impersonate' can get a short-lived token that acts
+ * as a member, to see exactly what they see. authenticate() refuses the
+ * actions below while such a token is in use, and audits every request;
+ * the routers that hold them also refuse them up front
+ * (blockWhileImpersonating in middleware/auth.js).
+ */
+
+const TTL_MINUTES = Math.min(parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 15, 60);
+
+// Matched against the normalized request path (see normalizePath)
+const BLOCKED_ACTIONS = [
+  { method: 'DELETE', path: /^\/api\//i, description: 'Deleting anything' },
+  { method: 'WRITE', path: /^\/api\/auth\/(?!logout$)/i, description: 'Password, email, 2FA, sessions, API keys and linked accounts' },
+  { method: 'ANY', path: /^\/api\/payments(\/|$)/i, description: 'Payments, donations and subscriptions' },
+  { method: 'ANY', path: /^\/api\/users\/me\/export$/i, description: 'Downloading the data export' },
+  { method: 'WRITE', path: /^\/api\/users\/me\/verification$/i, description: 'Applying for verification' },
+  { method: 'ANY', path: /^\/api\/admin(\/|$)/i, description: 'Staff actions' }
+];
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * The path as Express routes it: case-insensitive, repeated and
+ * trailing slashes ignored, no query string
+ */
+const normalizePath = (path) => {
+  const normalized = String(path).split('?')[0].toLowerCase().replace(/\/{2,}/g, '/');
+  return normalized.length > 1 ? normalized.replace(/\/+$/, '') : normalized;
+};
+
+/**
+ * Whether an impersonation token may be used for this request
+ * Pass req.baseUrl + req.path
+ */
+const isBlockedWhileImpersonating = (method, rawPath) => {
+  const path = normalizePath(rawPath);
+  return BLOCKED_ACTIONS.some(rule => {
+    if (rule.method === 'WRITE' && !WRITE_METHODS.includes(method)) return false;
+    if (rule.method !== 'ANY' && rule.method !== 'WRITE' && rule.method !== method) return false;
+    return rule.path.test(path);
+  });
+};
+
+module.exports = {
+  TTL_MINUTES,
+  BLOCKED_ACTIONS,
+  normalizePath,
+  isBlockedWhileImpersonating
+};
@@ -0,0 +1,60 @@
+/**
+ * OpenID Connect Providers
+ * A provider is enabled when its client id and secret are set:
+ *   OIDC_<ID>_CLIENT_ID, OIDC_<ID>_CLIENT_SECRET
+ * OIDC_<ID>_ISSUER overrides the discovery URL (e.g. to point at a
+ * local mock issuer: npm run mock-oidc).
+ */
+
+const PROVIDERS = {
+  google: {
+    name: 'Google',
+    issuer: 'https://accounts.google.com',
+    scopes: ['openid', 'email', 'profile']
+  },
+  microsoft: {
+    name: 'Microsoft',
+    // Multi-tenant endpoint: the issuer contains {tenantid}
+    issuer: 'https://login.microsoftonline.com/common/v2.0',
+    scopes: ['openid', 'email', 'profile']
+  },
+  linkedin: {
+    name: 'LinkedIn',
+    issuer: 'https://www.linkedin.com/oauth',
+    scopes: ['openid', 'email', 'profile']
+  }
+};
+
+/**
+ * Get a provider's settings, or null if unknown or not configured
+ */
+const getProvider = (id) => {
+  const defaults = PROVIDERS[id];
+  if (!defaults) return null;
+
+  const prefix = `OIDC_${id.toUpperCase()}_`;
+  const clientId = process.env[`${prefix}CLIENT_ID`];
+  const clientSecret = process.env[`${prefix}CLIENT_SECRET`];
+  if (!clientId || !clientSecret) return null;
+
+  return {
+    id,
+    ...defaults,
+    issuer: process.env[`${prefix}ISSUER`] || defaults.issuer,
+    clientId,
+    clientSecret
+  };
+};
+
+/**
+ * All configured providers
+ */
+const getEnabledProviders = () => Object.keys(PROVIDERS)
+  .map(getProvider)
+  .filter(Boolean);
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  getEnabledProviders
+};
@@ -0,0 +1,69 @@
+/**
+ * Platform Roles & Permissions
+ * Platform roles are separate from the free-text profile title (User.role)
+ */
+
+// Lowest to highest: a role outranks the ones before it
+const ROLES = ['user', 'moderator', 'finance', 'admin'];
+
+const PERMISSIONS = [
+  'users:read',          // Browse accounts in the admin API
+  'users:deactivate',    // Deactivate / reactivate accounts
+  'users:manage_roles',  // Change platform roles
+  'users:impersonate',   // Act as a member to debug what they see (audited)
+  'users:verify',        // Review verification requests, revoke verified badges
+  'content:read',        // Browse posts and groups in the admin API
+  'content:moderate',    // Remove posts and comments
+  'groups:feature',      // Feature / unfeature groups
+  'campaigns:read',      // Browse campaigns in the admin API
+  'campaigns:feature',   // Feature / unfeature campaigns
+  'campaigns:verify',    // Mark campaigns as verified
+  'donations:read',      // See donation details and volumes
+  'stats:read',          // Platform statistics
+  'audit:read',          // Read the staff audit log
+  'security:read'        // Read members' security events (logins, password changes)
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: [
+    'users:read',
+    'users:deactivate',
+    'users:verify',
+    'content:read',
+    'content:moderate',
+    'groups:feature',
+    'campaigns:read'
+  ],
+  finance: [
+    'users:read',
+    'campaigns:read',
+    'campaigns:feature',
+    'campaigns:verify',
+    'donations:read',
+    'stats:read'
+  ],
+  admin: PERMISSIONS
+};
+
+/**
+ * Check whether a platform role grants a permission
+ */
+const roleHasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+/**
+ * Check whether a platform role ranks above another
+ */
+const outranks = (role, otherRole) => {
+  return ROLES.indexOf(role) > ROLES.indexOf(otherRole);
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  roleHasPermission,
+  outranks
+};
@@ -0,0 +1,50 @@
+/**
+ * Reactions
+ * The ways a member can react to a post, and how much each counts
+ * towards a post's engagement score (trending and the contributor
+ * badges). A member has one reaction per post and can change it.
+ *
+ * Types are stored on Reaction and Post.reactionCounts: never rename
+ * one, add a new type instead.
+ */
+
+const REACTION_TYPES = ['like', 'insightful', 'support', 'celebrate', 'disagree'];
+
+const REACTION_EMOJI = {
+  like: '👍',
+  insightful: '💡',
+  support: '🤝',
+  celebrate: '🎉',
+  disagree: '👎'
+};
+
+// Engagement weights. Each can be set with TRENDING_WEIGHT_<TYPE>,
+// e.g. TRENDING_WEIGHT_INSIGHTFUL=3 or TRENDING_WEIGHT_SHARE=2
+const weight = (name, fallback) => {
+  const value = parseFloat(process.env[`TRENDING_WEIGHT_${name.toUpperCase()}`]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+const REACTION_WEIGHTS = {
+  like: weight('like', 1),
+  insightful: weight('insightful', 2),
+  support: weight('support', 1),
+  celebrate: weight('celebrate', 1),
+  disagree: weight('disagree', 1)
+};
+
+const COMMENT_WEIGHT = weight('comment', 2);
+const SHARE_WEIGHT = weight('share', 3);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+module.exports = {
+  REACTION_TYPES,
+  REACTION_EMOJI,
+  REACTION_WEIGHTS,
+  COMMENT_WEIGHT,
+  SHARE_WEIGHT,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE
+};
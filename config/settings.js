@@ -0,0 +1,84 @@
+/**
+ * Member Settings
+ * What lives under User.settings, its defaults and allowed values.
+ * GET/PATCH /api/users/me/settings reads and writes these.
+ */
+
+// Events a member can be notified about, by email and in the app.
+// Security emails (sign-ins, password, email changes) are always sent.
+const NOTIFICATION_EVENTS = [
+  'follows',           // someone followed you
+  'follow_requests',   // someone asked to follow your private account
+  'comments',          // comments on your posts and replies to your comments
+  'likes',             // likes on your posts and comments
+  'mentions',          // someone mentioned you
+  'group_activity',    // join requests and posts in groups you run
+  'campaign_updates',  // updates from campaigns you follow or back
+  'donations'          // donations to your campaigns
+];
+
+const NOTIFICATION_CHANNELS = ['email', 'inApp'];
+
+// Off by default by email: too frequent to be worth an inbox
+const EMAIL_OFF_BY_DEFAULT = ['follows', 'likes', 'group_activity'];
+
+// Who may do something to / see something of a member
+const AUDIENCES = ['everyone', 'followers', 'nobody'];
+
+const PRIVACY_SETTINGS = {
+  whoCanMessage: 'followers', // takes effect once direct messaging ships
+  whoCanComment: 'everyone',
+  whoCanSeeFollowers: 'everyone'
+};
+
+const POST_VISIBILITIES = ['public', 'followers', 'private'];
+
+const SUPPORTED_LANGUAGES = ['en', 'fr', 'es', 'de', 'pt', 'ar', 'zh'];
+
+const DEFAULT_LANGUAGE = 'en';
+const DEFAULT_TIMEZONE = 'UTC';
+
+/**
+ * Default for one notification toggle
+ */
+const notificationDefault = (channel, event) =>
+  channel === 'inApp' || !EMAIL_OFF_BY_DEFAULT.includes(event);
+
+/**
+ * Whether a string is an IANA time zone, e.g. "Europe/Paris"
+ */
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Every settable path under User.settings, e.g. "privacy.whoCanComment"
+ */
+const SETTINGS_PATHS = [
+  ...NOTIFICATION_CHANNELS.flatMap(channel =>
+    NOTIFICATION_EVENTS.map(event => `notifications.${channel}.${event}`)),
+  ...Object.keys(PRIVACY_SETTINGS).map(key => `privacy.${key}`),
+  'defaultPostVisibility',
+  'language',
+  'timezone'
+];
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CHANNELS,
+  AUDIENCES,
+  PRIVACY_SETTINGS,
+  POST_VISIBILITIES,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  DEFAULT_TIMEZONE,
+  SETTINGS_PATHS,
+  notificationDefault,
+  isValidTimezone
+};
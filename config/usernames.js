@@ -0,0 +1,64 @@
+/**
+ * Usernames (@handles)
+ * Rules for the handle in profile URLs (/@handle) and mentions.
+ * Handles are unique regardless of case; the chosen case is kept
+ * for display.
+ */
+
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 30;
+
+// Letters, digits and underscores; starts with a letter
+const USERNAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// Days before a handle can be changed again
+const CHANGE_COOLDOWN_DAYS = parseInt(process.env.USERNAME_CHANGE_COOLDOWN_DAYS) || 30;
+
+// Days an old handle keeps redirecting to the new one (and can't be taken)
+const REDIRECT_DAYS = parseInt(process.env.USERNAME_REDIRECT_DAYS) || 90;
+
+// Route names, staff-sounding names and brand names nobody may claim
+const RESERVED_USERNAMES = [
+  'about', 'admin', 'administrator', 'api', 'app', 'auth', 'billing',
+  'campaigns', 'crowdfunding', 'dashboard', 'donate', 'explore',
+  'feed', 'groups', 'help', 'home', 'login', 'logout', 'me', 'messages',
+  'moderator', 'notifications', 'null', 'official', 'payments', 'posts',
+  'privacy', 'profile', 'register', 'root', 'search', 'security',
+  'settings', 'signin', 'signup', 'staff', 'support', 'system', 'terms',
+  'undefined', 'users', 'wef', 'wef_official', 'webmaster'
+];
+
+/**
+ * Case-insensitive form used for uniqueness and lookups
+ */
+const normalizeUsername = (username) => String(username || '').trim().toLowerCase();
+
+/**
+ * Check a requested handle against the rules.
+ * Returns an error message, or null if it is acceptable.
+ */
+const validateUsername = (username) => {
+  const value = String(username || '').trim();
+
+  if (value.length < MIN_LENGTH || value.length > MAX_LENGTH) {
+    return `Username must be ${MIN_LENGTH}-${MAX_LENGTH} characters`;
+  }
+  if (!USERNAME_PATTERN.test(value)) {
+    return 'Username can only contain letters, numbers and underscores, and must start with a letter';
+  }
+  if (RESERVED_USERNAMES.includes(value.toLowerCase())) {
+    return 'This username is reserved';
+  }
+  return null;
+};
+
+module.exports = {
+  MIN_LENGTH,
+  MAX_LENGTH,
+  USERNAME_PATTERN,
+  CHANGE_COOLDOWN_DAYS,
+  REDIRECT_DAYS,
+  RESERVED_USERNAMES,
+  normalizeUsername,
+  validateUsername
+};
@@ -0,0 +1,33 @@
+/**
+ * Profile Verification
+ * What members can apply to be verified as, and what they may upload.
+ * Staff with 'users:verify' review applications in the admin API.
+ */
+
+const path = require('path');
+
+const CATEGORIES = ['economist', 'organization', 'public_figure'];
+
+const MAX_LINKS = 5;
+const MAX_DOCUMENTS = 5;
+const MAX_DOCUMENT_BYTES = (parseInt(process.env.VERIFICATION_MAX_DOCUMENT_MB) || 10) * 1024 * 1024;
+
+// ID documents, registration certificates, letters
+const DOCUMENT_TYPES = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png'
+};
+
+// Never served by express.static; staff download documents through the admin API
+const UPLOAD_DIR = process.env.VERIFICATION_UPLOAD_DIR ||
+  path.join(__dirname, '..', 'uploads', 'verification');
+
+module.exports = {
+  CATEGORIES,
+  MAX_LINKS,
+  MAX_DOCUMENTS,
+  MAX_DOCUMENT_BYTES,
+  DOCUMENT_TYPES,
+  UPLOAD_DIR
+};
@@ -1,29 +1,157 @@
 /**
  * Authentication Middleware
- * Protects routes and verifies JWT tokens
+ * Protects routes and verifies JWT tokens and personal API keys
  */
 
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { roleHasPermission } = require('../config/permissions');
+const { isBlockedWhileImpersonating } = require('../config/impersonation');
+const keyring = require('../services/keyring');
+const { recordImpersonatedRequest } = require('../services/auditLog');
 
 /**
- * Verify JWT token and attach user to request
+ * Verify a token signed by this server and return its payload
+ */
+const verifyToken = (token) => {
+  return keyring.verify(token);
+};
+
+/**
+ * Check that an access token still belongs to a live session.
+ * Tokens issued before sessions existed carry no sid; those are
+ * accepted until the user's next password change.
  */
-const authenticate = async (req, res, next) => {
+const isTokenRevoked = async (decoded, user) => {
+  // Refresh and 2FA challenge tokens are never access tokens
+  if (decoded.type) return true;
+  
+  // Impersonation tokens only live as long as their session
+  if (decoded.imp && !decoded.sid) return true;
+  
+  if (decoded.sid) {
+    const session = await Session.exists({
+      _id: decoded.sid,
+      user: user._id,
+      impersonator: decoded.imp || null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    return !session;
+  }
+  
+  return !!user.passwordChangedAt &&
+         decoded.iat * 1000 < user.passwordChangedAt.getTime();
+};
+
+/**
+ * Staff member behind an impersonation token, or null if they may
+ * no longer impersonate (deactivated or lost the permission)
+ */
+const getImpersonator = async (decoded) => {
+  const impersonator = await User.findById(decoded.imp)
+    .select('name email platformRole isActive');
+  
+  if (!impersonator || !impersonator.isActive ||
+      !roleHasPermission(impersonator.platformRole, 'users:impersonate')) {
+    return null;
+  }
+  return impersonator;
+};
+
+/**
+ * Pull the credential from the request: a Bearer token (JWT or API key)
+ * or an X-API-Key header
+ */
+const getCredential = (req) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1];
+  }
+  return req.headers['x-api-key'] || null;
+};
+
+/**
+ * Resolve an API key to its user, enforcing revocation, expiry and scopes
+ * Returns { user } or { status, error }
+ */
+const authenticateApiKey = async (key, scopes, req) => {
+  const apiKey = await ApiKey.findByKey(key);
+  
+  if (!apiKey || apiKey.revokedAt) {
+    return { status: 401, error: 'Invalid API key.' };
+  }
+  
+  if (!apiKey.isActive) {
+    return { status: 401, error: 'API key expired.' };
+  }
+  
+  if (!apiKey.hasScopes(scopes)) {
+    return { 
+      status: 403, 
+      error: `API key is missing required scope: ${scopes.filter(s => !apiKey.scopes.includes(s)).join(', ')}`,
+      code: 'INSUFFICIENT_SCOPE'
+    };
+  }
+  
+  const user = await User.findById(apiKey.user).select('-password');
+  
+  if (!user || !user.isActive) {
+    return { status: 401, error: 'Account is deactivated.' };
+  }
+  
+  // Last-used tracking, at most once a minute per key
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > 60 * 1000) {
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+    ).catch(error => console.error('API key usage update error:', error));
+  }
+  
+  return { user, apiKey };
+};
+
+/**
+ * Build authentication middleware.
+ * scopes === null: session tokens only, API keys are rejected.
+ * scopes = [...]: API keys are also accepted if they carry every scope.
+ */
+const authenticateRequest = (scopes = null) => async (req, res, next) => {
   try {
-    // Get token from header
-    const authHeader = req.headers.authorization;
+    const token = getCredential(req);
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    if (!token) {
       return res.status(401).json({ 
         error: 'Access denied. No token provided.' 
       });
     }
     
-    const token = authHeader.split(' ')[1];
+    if (ApiKey.isApiKey(token)) {
+      if (!scopes) {
+        return res.status(403).json({ 
+          error: 'API keys cannot be used for this endpoint.',
+          code: 'API_KEY_NOT_ALLOWED'
+        });
+      }
+      
+      const result = await authenticateApiKey(token, scopes, req);
+      if (result.error) {
+        const body = { error: result.error };
+        if (result.code) body.code = result.code;
+        return res.status(result.status).json(body);
+      }
+      
+      req.user = result.user;
+      req.userId = result.user._id;
+      req.sessionId = null;
+      req.apiKey = result.apiKey;
+      req.impersonator = null;
+      return next();
+    }
     
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyToken(token);
     
     // Get user from database
     const user = await User.findById(decoded.userId).select('-password');
@@ -40,9 +168,40 @@ const authenticate = async (req, res, next) => {
       });
     }
     
+    if (await isTokenRevoked(decoded, user)) {
+      return res.status(401).json({ 
+        error: 'Session has been signed out.' 
+      });
+    }
+    
+    let impersonator = null;
+    if (decoded.imp) {
+      impersonator = await getImpersonator(decoded);
+      if (!impersonator) {
+        return res.status(401).json({ 
+          error: 'Impersonation is no longer allowed.' 
+        });
+      }
+      
+      const blocked = isBlockedWhileImpersonating(req.method, req.baseUrl + req.path);
+      
+      // Written before the request runs: if the audit fails, so does the request
+      await recordImpersonatedRequest(req, { impersonator, user, session: decoded.sid, blocked });
+      
+      if (blocked) {
+        return res.status(403).json({ 
+          error: 'This action is not available while impersonating a member.',
+          code: 'IMPERSONATION_BLOCKED'
+        });
+      }
+    }
+    
     // Attach user to request
     req.user = user;
     req.userId = user._id;
+    req.sessionId = decoded.sid || null;
+    req.apiKey = null;
+    req.impersonator = impersonator;
     
     next();
   } catch (error) {
@@ -57,6 +216,56 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Router-level guard: refuse impersonation tokens on the actions in
+ * config/impersonation.js before any route runs, whatever the route's
+ * own middleware. Mounted with router.use() on the routers that hold
+ * those actions; requests without an impersonation token pass through.
+ */
+const blockWhileImpersonating = async (req, res, next) => {
+  const token = getCredential(req);
+  if (!token || ApiKey.isApiKey(token)) return next();
+  
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    // Invalid tokens are the route's authentication's business
+    return next();
+  }
+  
+  if (!decoded.imp || !isBlockedWhileImpersonating(req.method, req.baseUrl + req.path)) {
+    return next();
+  }
+  
+  try {
+    await recordImpersonatedRequest(req, {
+      impersonator: { _id: decoded.imp },
+      user: { _id: decoded.userId },
+      session: decoded.sid,
+      blocked: true
+    });
+  } catch (error) {
+    console.error('Impersonation audit error:', error);
+  }
+  
+  res.status(403).json({ 
+    error: 'This action is not available while impersonating a member.',
+    code: 'IMPERSONATION_BLOCKED'
+  });
+};
+
+/**
+ * Verify JWT token and attach user to request
+ */
+const authenticate = authenticateRequest();
+
+/**
+ * Authenticate with a JWT, or with an API key holding every given scope
+ * Usage: router.post('/', requireScope('posts:write'), ...)
+ */
+const requireScope = (...scopes) => authenticateRequest(scopes);
+
 /**
  * Optional authentication - doesn't fail if no token
  * Useful for public endpoints that show extra data for logged-in users
@@ -70,12 +279,21 @@ const optionalAuth = async (req, res, next) => {
     }
     
     const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyToken(token);
     const user = await User.findById(decoded.userId).select('-password');
     
-    if (user && user.isActive) {
+    if (user && user.isActive && !(await isTokenRevoked(decoded, user))) {
+      const impersonator = decoded.imp ? await getImpersonator(decoded) : null;
+      if (decoded.imp && !impersonator) return next();
+      
+      if (impersonator) {
+        await recordImpersonatedRequest(req, { impersonator, user, session: decoded.sid });
+      }
+      
       req.user = user;
       req.userId = user._id;
+      req.sessionId = decoded.sid || null;
+      req.impersonator = impersonator;
     }
     
     next();
@@ -106,31 +324,149 @@ const requirePremium = async (req, res, next) => {
 };
 
 /**
- * Generate JWT token
+ * Require one of the given platform roles
+ * Usage: router.get('/', authenticate, requireRole('admin', 'moderator'), ...)
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ 
+      error: 'Authentication required.' 
+    });
+  }
+  
+  if (!roles.includes(req.user.platformRole)) {
+    return res.status(403).json({ 
+      error: 'You do not have permission to do this.' 
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Require every given permission (granted through the platform role)
+ * Usage: router.put('/:id/verify', authenticate, requirePermission('campaigns:verify'), ...)
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ 
+      error: 'Authentication required.' 
+    });
+  }
+  
+  const allowed = permissions.every(p => roleHasPermission(req.user.platformRole, p));
+  if (!allowed) {
+    return res.status(403).json({ 
+      error: 'You do not have permission to do this.' 
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Require a verified email address
+ * Unverified accounts can read and post, but not create groups,
+ * campaigns or donations
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ 
+      error: 'Authentication required.' 
+    });
+  }
+  
+  if (!req.user.isEmailVerified) {
+    return res.status(403).json({ 
+      error: 'Please verify your email address first.',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Require 2FA for organizers with campaign payouts configured
+ */
+const requireTwoFactorForPayouts = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ 
+        error: 'Authentication required.' 
+      });
+    }
+    
+    if (!req.user.twoFactor.enabled && await req.user.requiresTwoFactor()) {
+      return res.status(403).json({ 
+        error: 'Two-factor authentication is required for campaigns with payouts.',
+        code: 'TWO_FACTOR_REQUIRED',
+        setupUrl: '/api/auth/2fa/setup'
+      });
+    }
+    
+    next();
+  } catch (error) {
+    console.error('2FA requirement check error:', error);
+    res.status(500).json({ error: 'Authentication failed.' });
+  }
+};
+
+/**
+ * Generate JWT access token bound to a session
+ */
+const generateToken = (userId, sessionId) => {
+  return keyring.sign(
+    { userId, sid: sessionId },
+    { expiresIn: keyring.ACCESS_TOKEN_TTL }
+  );
+};
+
+/**
+ * Generate a short-lived access token for staff acting as a member.
+ * imp holds the staff member's id; authenticate() audits every use.
+ */
+const generateImpersonationToken = (userId, sessionId, impersonatorId, expiresIn) => {
+  return keyring.sign(
+    { userId, sid: sessionId, imp: impersonatorId },
+    { expiresIn }
+  );
+};
+
+/**
+ * Generate short-lived token proving the password step of a 2FA login
  */
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+const generateChallengeToken = (userId) => {
+  return keyring.sign(
+    { userId, type: '2fa_challenge' },
+    { expiresIn: '5m' }
   );
 };
 
 /**
  * Generate refresh token (longer lived)
+ * jti identifies this token within its session so reuse can be detected
  */
-const generateRefreshToken = (userId) => {
-  return jwt.sign(
-    { userId, type: 'refresh' },
-    process.env.JWT_SECRET,
-    { expiresIn: '30d' }
+const generateRefreshToken = (userId, sessionId, tokenId) => {
+  return keyring.sign(
+    { userId, sid: sessionId, type: 'refresh' },
+    { expiresIn: keyring.REFRESH_TOKEN_TTL, jwtid: tokenId }
   );
 };
 
 module.exports = {
   authenticate,
+  requireScope,
   optionalAuth,
+  blockWhileImpersonating,
   requirePremium,
+  requireRole,
+  requirePermission,
+  requireVerifiedEmail,
+  requireTwoFactorForPayouts,
   generateToken,
-  generateRefreshToken
+  generateRefreshToken,
+  generateChallengeToken,
+  generateImpersonationToken,
+  verifyToken
 };
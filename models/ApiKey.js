@@ -0,0 +1,157 @@
+/**
+ * ApiKey Model
+ * Personal API keys for scripts and partner integrations.
+ * Keys look like "wef_<prefix>_<secret>"; only a hash is stored.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { SCOPE_NAMES } = require('../config/apiScopes');
+
+const KEY_PREFIX = 'wef_';
+
+const hashKey = (key) => crypto
+  .createHash('sha256')
+  .update(key)
+  .digest('hex');
+
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters']
+  },
+
+  // Public part of the key, used to find it and shown in listings
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  scopes: [{
+    type: String,
+    enum: SCOPE_NAMES
+  }],
+
+  expiresAt: {
+    type: Date,
+    default: null // null = never expires
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// ===================
+// INDEXES
+// ===================
+
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+// ===================
+// VIRTUALS
+// ===================
+
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// ===================
+// METHODS
+// ===================
+
+// Check the secret part of a presented key
+apiKeySchema.methods.matches = function(key) {
+  const expected = Buffer.from(this.keyHash, 'hex');
+  const actual = Buffer.from(hashKey(key), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+apiKeySchema.methods.hasScopes = function(scopes) {
+  return scopes.every(scope => this.scopes.includes(scope));
+};
+
+// Format for API response (never includes the key itself)
+apiKeySchema.methods.toPublicKey = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    prefix: `${KEY_PREFIX}${this.prefix}`,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    isActive: this.isActive,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+// ===================
+// STATICS
+// ===================
+
+// Create a key; the plain key is returned once and never stored
+apiKeySchema.statics.generate = async function({ user, name, scopes, expiresAt }) {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `${KEY_PREFIX}${prefix}_${secret}`;
+
+  const apiKey = await this.create({
+    user,
+    name,
+    prefix,
+    keyHash: hashKey(key),
+    scopes,
+    expiresAt
+  });
+
+  return { apiKey, key };
+};
+
+// Find the stored key for a presented one (null if malformed/unknown)
+apiKeySchema.statics.findByKey = async function(key) {
+  const match = /^wef_([a-f0-9]{12})_[A-Za-z0-9_-]+$/.exec(key || '');
+  if (!match) return null;
+
+  const apiKey = await this.findOne({ prefix: match[1] }).select('+keyHash');
+  if (!apiKey || !apiKey.matches(key)) return null;
+
+  return apiKey;
+};
+
+apiKeySchema.statics.isApiKey = function(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
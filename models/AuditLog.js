@@ -0,0 +1,81 @@
+/**
+ * AuditLog Model
+ * Append-only record of staff actions. Entries can be created and read,
+ * never changed or removed through the application.
+ */
+
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Staff member who performed the action
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // e.g. "user.deactivate", "campaign.verify"
+  action: {
+    type: String,
+    required: true
+  },
+
+  targetType: {
+    type: String,
+    enum: ['user', 'group', 'campaign', 'post'],
+    required: true
+  },
+
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  // Action-specific data (previous/new values, reason, ...)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  ip: String,
+  userAgent: String
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// ===================
+// INDEXES
+// ===================
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// ===================
+// MIDDLEWARE
+// ===================
+
+const immutable = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return immutable(next);
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(op => auditLogSchema.pre(op, immutable));
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
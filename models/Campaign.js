@@ -7,10 +7,11 @@ const mongoose = require('mongoose');
 
 // Donation sub-schema
 const donationSchema = new mongoose.Schema({
+  // null once the donor's account has been deleted (donation is kept, anonymized)
   donor: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    default: null
   },
   amount: {
     type: Number,
@@ -246,8 +247,10 @@ const campaignSchema = new mongoose.Schema({
 campaignSchema.index({ title: 'text', description: 'text', tags: 'text' });
 campaignSchema.index({ category: 1, status: 1 });
 campaignSchema.index({ organizer: 1 });
+campaignSchema.index({ 'donations.donor': 1 }); // donor badges
 campaignSchema.index({ status: 1, createdAt: -1 });
 campaignSchema.index({ isFeatured: 1, raised: -1 });
+campaignSchema.index({ followers: 1 }); // follow suggestions
 
 // ===================
 // VIRTUALS
@@ -288,7 +291,9 @@ campaignSchema.virtual('amountRemaining').get(function() {
 campaignSchema.methods.addDonation = async function(donationData) {
   this.donations.push(donationData);
   this.raised += donationData.amount;
-  this.donorCount = new Set(this.donations.map(d => d.donor.toString())).size;
+  this.donorCount = new Set(
+    this.donations.filter(d => d.donor).map(d => d.donor.toString())
+  ).size;
   
   // Check if goal reached
   if (this.raised >= this.goal) {
@@ -0,0 +1,125 @@
+/**
+ * Comment Model
+ * Comments and replies on posts. Replies point at their parent comment;
+ * depth is 0 for top-level comments. A comment that is deleted while it
+ * still has replies stays behind as a tombstone (isDeleted, no content)
+ * so the thread below it keeps its place.
+ * Create and remove comments through services/comments.js, which keeps
+ * Post.commentCount and replyCount right.
+ */
+
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+
+  // null for top-level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+
+  depth: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // null on a tombstone whose author's account was purged
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  content: {
+    type: String,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters'],
+    required: [function() { return !this.isDeleted; }, 'Comment content is required']
+  },
+
+  likes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  likeCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Direct replies still in the thread (tombstones included)
+  replyCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: Date,
+
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date
+
+}, {
+  timestamps: true
+});
+
+// ===================
+// INDEXES
+// ===================
+
+commentSchema.index({ post: 1, parent: 1, _id: -1 });               // newest / oldest
+commentSchema.index({ post: 1, parent: 1, likeCount: -1, _id: -1 }); // top
+commentSchema.index({ author: 1, createdAt: -1 });
+
+// ===================
+// METHODS
+// ===================
+
+commentSchema.methods.isLikedBy = function(userId) {
+  if (!userId) return false;
+  return this.likes.some(id => id.toString() === userId.toString());
+};
+
+// Format for API responses; tombstones keep only their place in the thread
+commentSchema.methods.toCommentItem = function(currentUserId) {
+  const item = {
+    id: this._id,
+    post: this.post,
+    parent: this.parent,
+    depth: this.depth,
+    replyCount: this.replyCount,
+    isDeleted: this.isDeleted,
+    createdAt: this.createdAt
+  };
+
+  if (this.isDeleted) {
+    return { ...item, author: null, content: null, likeCount: 0, liked: false };
+  }
+
+  return {
+    ...item,
+    author: this.author,
+    content: this.content,
+    likeCount: this.likeCount,
+    liked: this.isLikedBy(currentUserId),
+    isEdited: this.isEdited,
+    editedAt: this.editedAt
+  };
+};
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
@@ -0,0 +1,142 @@
+/**
+ * Follow Model
+ * One document per "follower follows following" edge. Replaces the
+ * embedded User.followers / User.following arrays, which grew without
+ * bound; User keeps denormalized followerCount / followingCount.
+ * Always go through follow() / unfollow() so the counts stay right.
+ */
+
+const mongoose = require('mongoose');
+
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// ===================
+// INDEXES
+// ===================
+
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, _id: -1 }); // followers list, newest first
+followSchema.index({ follower: 1, _id: -1 });  // following list, newest first
+
+// ===================
+// STATICS
+// ===================
+
+const adjustCounts = (followerId, followingId, delta) => {
+  const User = mongoose.model('User');
+  return Promise.all([
+    User.updateOne({ _id: followerId }, { $inc: { followingCount: delta } }),
+    User.updateOne({ _id: followingId }, { $inc: { followerCount: delta } })
+  ]);
+};
+
+/**
+ * Create the edge if it doesn't exist. Safe to call twice or
+ * concurrently: only the call that creates the edge bumps the counts.
+ * Returns true if a new follow was created.
+ */
+followSchema.statics.follow = async function(followerId, followingId) {
+  try {
+    const result = await this.updateOne(
+      { follower: followerId, following: followingId },
+      { $setOnInsert: { follower: followerId, following: followingId } },
+      { upsert: true }
+    );
+    if (!result.upsertedCount) return false;
+  } catch (error) {
+    // A concurrent upsert won the race
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  await adjustCounts(followerId, followingId, 1);
+  return true;
+};
+
+/**
+ * Remove the edge if it exists. Returns true if a follow was removed.
+ */
+followSchema.statics.unfollow = async function(followerId, followingId) {
+  const removed = await this.findOneAndDelete({ follower: followerId, following: followingId });
+  if (!removed) return false;
+
+  await adjustCounts(followerId, followingId, -1);
+  return true;
+};
+
+// Whether followerId follows followingId
+followSchema.statics.isFollowing = async function(followerId, followingId) {
+  if (!followerId || !followingId) return false;
+  return !!(await this.exists({ follower: followerId, following: followingId }));
+};
+
+/**
+ * Ids of the users someone follows, newest first
+ */
+followSchema.statics.getFollowingIds = async function(userId, limit = 0) {
+  const query = this.find({ follower: userId }).sort({ _id: -1 }).select('following').lean();
+  if (limit) query.limit(limit);
+  return (await query).map(edge => edge.following);
+};
+
+/**
+ * One page of followers (direction 'followers') or followed users
+ * (direction 'following'), newest first. cursor is the nextCursor of
+ * the previous page. Returns { users, nextCursor }.
+ */
+followSchema.statics.listPage = async function(userId, direction, { cursor = null, limit = 20, select = 'name avatar bio role' } = {}) {
+  const [own, other] = direction === 'followers' ? ['following', 'follower'] : ['follower', 'following'];
+
+  const filter = { [own]: userId };
+  if (cursor && mongoose.Types.ObjectId.isValid(cursor)) {
+    filter._id = { $lt: cursor };
+  }
+
+  const edges = await this.find(filter)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .populate(other, select);
+
+  const hasMore = edges.length > limit;
+  const page = edges.slice(0, limit);
+
+  return {
+    users: page.map(edge => edge[other]).filter(Boolean),
+    nextCursor: hasMore ? page[page.length - 1]._id.toString() : null
+  };
+};
+
+/**
+ * Remove every follow to and from a user (account purge)
+ */
+followSchema.statics.removeAllFor = async function(userId) {
+  const User = mongoose.model('User');
+
+  const [followed, followers] = await Promise.all([
+    this.find({ follower: userId }).distinct('following'),
+    this.find({ following: userId }).distinct('follower')
+  ]);
+
+  await User.updateMany({ _id: { $in: followed } }, { $inc: { followerCount: -1 } });
+  await User.updateMany({ _id: { $in: followers } }, { $inc: { followingCount: -1 } });
+  await this.deleteMany({ $or: [{ follower: userId }, { following: userId }] });
+};
+
+const Follow = mongoose.model('Follow', followSchema);
+
+module.exports = Follow;
@@ -0,0 +1,58 @@
+/**
+ * FollowSuggestion Model
+ * Precomputed "people you may know" list for one user, so the
+ * suggestions endpoint doesn't walk the social graph on every request.
+ * MongoDB removes the list when it expires; the next request rebuilds it.
+ */
+
+const mongoose = require('mongoose');
+
+const followSuggestionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+
+  // Best first
+  candidates: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    score: {
+      type: Number,
+      default: 0
+    },
+    // Why they were suggested, e.g. { type: 'mutual_follows', count: 4 }
+    reasons: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['mutual_follows', 'shared_groups', 'shared_campaigns', 'same_location', 'popular']
+      },
+      count: Number
+    }]
+  }],
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+
+}, {
+  timestamps: true
+});
+
+// ===================
+// INDEXES
+// ===================
+
+followSuggestionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const FollowSuggestion = mongoose.model('FollowSuggestion', followSuggestionSchema);
+
+module.exports = FollowSuggestion;
@@ -0,0 +1,49 @@
+/**
+ * LoginAttempt Model
+ * Failed-attempt counters for login throttling, shared by every
+ * server instance. One document per key (e.g. "login:ip:1.2.3.4").
+ */
+
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  lastFailedAt: {
+    type: Date,
+    default: null
+  },
+
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  // Counter window end; Mongo removes the document afterwards
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+
+}, {
+  timestamps: false
+});
+
+// ===================
+// INDEXES
+// ===================
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
@@ -0,0 +1,88 @@
+/**
+ * Notification Model
+ * In-app notifications: something another member did that concerns
+ * you. Created by services/notifications.js, which checks the
+ * recipient's settings first. MongoDB removes them after the retention
+ * period (NOTIFICATION_RETENTION_DAYS, default 90).
+ */
+
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+
+const TYPES = [
+  'comment_reply',  // someone replied to your comment
+  'comment_like'    // someone liked your comment
+];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true
+  },
+
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+
+  read: {
+    type: Boolean,
+    default: false
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// ===================
+// INDEXES
+// ===================
+
+notificationSchema.index({ recipient: 1, _id: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+// Retention. Changing NOTIFICATION_RETENTION_DAYS later needs a collMod
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// ===================
+// METHODS
+// ===================
+
+notificationSchema.methods.toNotificationItem = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    actor: this.actor,
+    post: this.post,
+    comment: this.comment,
+    read: this.read,
+    createdAt: this.createdAt
+  };
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+Notification.TYPES = TYPES;
+Notification.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = Notification;
@@ -0,0 +1,67 @@
+/**
+ * OidcState Model
+ * Short-lived record of a social login in progress: the state
+ * parameter, the nonce and the PKCE verifier. Consumed once by the
+ * callback.
+ */
+
+const mongoose = require('mongoose');
+
+const oidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  provider: {
+    type: String,
+    required: true
+  },
+
+  nonce: {
+    type: String,
+    required: true
+  },
+
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+
+  // login = sign in or sign up, link = attach to the signed-in user
+  mode: {
+    type: String,
+    enum: ['login', 'link'],
+    default: 'login'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Frontend path to return to afterwards
+  redirectTo: {
+    type: String,
+    default: '/'
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+
+}, {
+  timestamps: true
+});
+
+// ===================
+// INDEXES
+// ===================
+
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OidcState = mongoose.model('OidcState', oidcStateSchema);
+
+module.exports = OidcState;
@@ -1,31 +1,23 @@
 /**
  * Post Model
- * Handles user posts, likes, comments for the social feed
+ * Handles user posts and shares for the social feed.
+ * Comments and reactions live in their own collections (see Comment.js
+ * and Reaction.js); the post keeps running counts of both.
  */
 
 const mongoose = require('mongoose');
+const {
+  REACTION_TYPES,
+  REACTION_WEIGHTS,
+  COMMENT_WEIGHT,
+  SHARE_WEIGHT
+} = require('../config/reactions');
 
-// Comment sub-schema
-const commentSchema = new mongoose.Schema({
-  author: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  content: {
-    type: String,
-    required: [true, 'Comment content is required'],
-    maxlength: [1000, 'Comment cannot exceed 1000 characters']
-  },
-  likes: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-});
+// One counter per reaction type
+const reactionCountsSchema = new mongoose.Schema(
+  Object.fromEntries(REACTION_TYPES.map(type => [type, { type: Number, default: 0, min: 0 }])),
+  { _id: false }
+);
 
 // Main Post schema
 const postSchema = new mongoose.Schema({
@@ -73,12 +65,22 @@ const postSchema = new mongoose.Schema({
   },
   
   // Engagement
-  likes: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
+  reactionCounts: {
+    type: reactionCountsSchema,
+    default: () => ({})
+  },
+  reactionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   
-  comments: [commentSchema],
+  // Live comments and replies (tombstones excluded)
+  commentCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   
   shares: [{
     user: {
@@ -151,14 +153,6 @@ postSchema.index({ createdAt: -1 }); // For feed sorting
 // VIRTUALS
 // ===================
 
-postSchema.virtual('likeCount').get(function() {
-  return this.likes ? this.likes.length : 0;
-});
-
-postSchema.virtual('commentCount').get(function() {
-  return this.comments ? this.comments.length : 0;
-});
-
 postSchema.virtual('shareCount').get(function() {
   return this.shares ? this.shares.length : 0;
 });
@@ -167,9 +161,13 @@ postSchema.virtual('shareCount').get(function() {
 // METHODS
 // ===================
 
-// Check if user has liked this post
-postSchema.methods.isLikedBy = function(userId) {
-  return this.likes.some(id => id.toString() === userId.toString());
+// Engagement score: weighted reactions, comments and shares
+// (config/reactions.js); used by trending and the contributor badges
+postSchema.methods.engagementScore = function() {
+  const counts = this.reactionCounts || {};
+  return REACTION_TYPES.reduce((score, type) => score + (counts[type] || 0) * REACTION_WEIGHTS[type], 0) +
+    (this.commentCount || 0) * COMMENT_WEIGHT +
+    this.shareCount * SHARE_WEIGHT;
 };
 
 // Check if user has bookmarked this post
@@ -177,8 +175,10 @@ postSchema.methods.isBookmarkedBy = function(userId) {
   return this.bookmarkedBy.some(id => id.toString() === userId.toString());
 };
 
-// Format for API response - NOW INCLUDES COMMENTS
-postSchema.methods.toFeedItem = function(currentUserId) {
+// Format for API response; commentPreview holds the latest few comments
+// and viewerReaction the viewer's reaction type (see services/feed.js)
+postSchema.methods.toFeedItem = function(currentUserId, { commentPreview = [], viewerReaction = null } = {}) {
+  const counts = this.reactionCounts || {};
   return {
     id: this._id,
     author: this.author,
@@ -186,11 +186,15 @@ postSchema.methods.toFeedItem = function(currentUserId) {
     media: this.media,
     postType: this.postType,
     group: this.group,
-    likeCount: this.likeCount,
-    commentCount: this.commentCount,
+    reactions: Object.fromEntries(REACTION_TYPES.map(type => [type, counts[type] || 0])),
+    reactionCount: this.reactionCount || 0,
+    viewerReaction,
+    // Kept for clients that only know likes: any reaction counts
+    likeCount: this.reactionCount || 0,
+    liked: !!viewerReaction,
+    commentCount: this.commentCount || 0,
     shareCount: this.shareCount,
-    comments: this.comments || [], // Include comments array for frontend
-    liked: currentUserId ? this.isLikedBy(currentUserId) : false,
+    commentPreview,
     bookmarked: currentUserId ? this.isBookmarkedBy(currentUserId) : false,
     visibility: this.visibility,
     tags: this.tags,
@@ -205,15 +209,35 @@ postSchema.methods.toFeedItem = function(currentUserId) {
 // STATICS
 // ===================
 
+/**
+ * engagementScore() as an aggregation expression
+ */
+postSchema.statics.engagementExpression = function() {
+  return {
+    $add: [
+      ...REACTION_TYPES.map(type => ({
+        $multiply: [{ $ifNull: [`$reactionCounts.${type}`, 0] }, REACTION_WEIGHTS[type]]
+      })),
+      { $multiply: [{ $ifNull: ['$commentCount', 0] }, COMMENT_WEIGHT] },
+      { $multiply: [{ $size: { $ifNull: ['$shares', []] } }, SHARE_WEIGHT] }
+    ]
+  };
+};
+
 /**
  * GLOBAL FEED - Shows ALL public posts from ALL users
  * Similar to Instagram/Twitter/Facebook explore feed
  */
 postSchema.statics.getFeed = async function(userId, page = 1, limit = 20) {
+  const User = mongoose.model('User');
+  const hiddenIds = await User.getHiddenUserIds(userId);
+  
   const skip = (page - 1) * limit;
   
-  // Show ALL public posts from ALL users (global feed)
+  // Show ALL public posts from ALL users (global feed),
+  // minus blocked and muted authors
   const posts = await this.find({
+    author: { $nin: hiddenIds },
     isDeleted: false,
     visibility: 'public',
     group: null // Exclude group posts from main feed
@@ -221,8 +245,7 @@ postSchema.statics.getFeed = async function(userId, page = 1, limit = 20) {
   .sort({ isPinned: -1, createdAt: -1 })
   .skip(skip)
   .limit(limit)
-  .populate('author', 'name avatar role')
-  .populate('comments.author', 'name avatar');
+  .populate('author', 'name avatar role');
   
   return posts;
 };
@@ -233,15 +256,19 @@ postSchema.statics.getFeed = async function(userId, page = 1, limit = 20) {
  */
 postSchema.statics.getPersonalizedFeed = async function(userId, page = 1, limit = 20) {
   const User = mongoose.model('User');
-  const user = await User.findById(userId).select('following');
+  const Follow = mongoose.model('Follow');
+  const [followingIds, hiddenIds] = await Promise.all([
+    Follow.getFollowingIds(userId),
+    User.getHiddenUserIds(userId)
+  ]);
   
-  const followingIds = user.following || [];
   followingIds.push(userId); // Include own posts
   
   const skip = (page - 1) * limit;
   
+  // Muted users can still be followed
   const posts = await this.find({
-    author: { $in: followingIds },
+    author: { $in: followingIds, $nin: hiddenIds },
     isDeleted: false,
     visibility: { $in: ['public', 'followers'] },
     group: null
@@ -249,21 +276,25 @@ postSchema.statics.getPersonalizedFeed = async function(userId, page = 1, limit
   .sort({ isPinned: -1, createdAt: -1 })
   .skip(skip)
   .limit(limit)
-  .populate('author', 'name avatar role')
-  .populate('comments.author', 'name avatar');
+  .populate('author', 'name avatar role');
   
   return posts;
 };
 
 /**
- * Get trending posts (most engagement in last 24 hours)
+ * Get trending posts (most engagement in last 24 hours,
+ * weighted as set in config/reactions.js)
+ * Pass userId to leave out authors the viewer blocked or muted
  */
-postSchema.statics.getTrending = async function(limit = 10) {
+postSchema.statics.getTrending = async function(limit = 10, userId = null) {
+  const User = mongoose.model('User');
+  const hiddenIds = await User.getHiddenUserIds(userId);
   const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
   
   const posts = await this.aggregate([
     {
       $match: {
+        author: { $nin: hiddenIds },
         createdAt: { $gte: oneDayAgo },
         isDeleted: false,
         visibility: 'public',
@@ -272,20 +303,15 @@ postSchema.statics.getTrending = async function(limit = 10) {
     },
     {
       $addFields: {
-        engagement: {
-          $add: [
-            { $size: '$likes' },
-            { $multiply: [{ $size: '$comments' }, 2] },
-            { $multiply: [{ $size: '$shares' }, 3] }
-          ]
-        }
+        engagement: this.engagementExpression()
       }
     },
     { $sort: { engagement: -1 } },
     { $limit: limit }
   ]);
   
-  return this.populate(posts, { path: 'author', select: 'name avatar role' });
+  // Documents rather than plain objects, so callers can use toFeedItem()
+  return this.populate(posts.map(post => this.hydrate(post)), { path: 'author', select: 'name avatar role' });
 };
 
 const Post = mongoose.model('Post', postSchema);
@@ -0,0 +1,159 @@
+/**
+ * Reaction Model
+ * One document per member reacting to a post (like, insightful, ...).
+ * Replaces the embedded Post.likes array; Post keeps denormalized
+ * reactionCounts per type and a reactionCount total.
+ * Always go through react() / unreact() so the counts stay right.
+ */
+
+const mongoose = require('mongoose');
+const { REACTION_TYPES } = require('../config/reactions');
+
+const reactionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: REACTION_TYPES,
+    required: true
+  }
+
+}, {
+  timestamps: true
+});
+
+// ===================
+// INDEXES
+// ===================
+
+reactionSchema.index({ post: 1, user: 1 }, { unique: true });
+reactionSchema.index({ post: 1, _id: -1 });          // who reacted, newest first
+reactionSchema.index({ post: 1, type: 1, _id: -1 }); // who reacted with one type
+reactionSchema.index({ user: 1 });
+
+// ===================
+// STATICS
+// ===================
+
+const COUNT_FIELDS = 'reactionCounts reactionCount';
+
+const readCounts = (postId) => mongoose.model('Post').findById(postId).select(COUNT_FIELDS);
+
+const adjustCounts = (postId, inc) =>
+  mongoose.model('Post').findOneAndUpdate({ _id: postId }, { $inc: inc }, { new: true }).select(COUNT_FIELDS);
+
+/**
+ * Set a member's reaction to a post, adding it or changing its type.
+ * Returns { previous, post } where previous is the type it replaces
+ * (null if new) and post holds the updated counts.
+ */
+reactionSchema.statics.react = async function(postId, userId, type) {
+  let existing;
+  try {
+    existing = await this.findOneAndUpdate(
+      { post: postId, user: userId },
+      { $set: { type }, $setOnInsert: { post: postId, user: userId } },
+      { upsert: true, new: false }
+    );
+  } catch (error) {
+    // A concurrent upsert won the race: retry as a change of type
+    if (error.code !== 11000) throw error;
+    existing = await this.findOneAndUpdate({ post: postId, user: userId }, { $set: { type } });
+  }
+
+  const previous = existing ? existing.type : null;
+  if (previous === type) {
+    return { previous, post: await readCounts(postId) };
+  }
+
+  const inc = { [`reactionCounts.${type}`]: 1 };
+  if (previous) {
+    inc[`reactionCounts.${previous}`] = -1;
+  } else {
+    inc.reactionCount = 1;
+  }
+
+  return { previous, post: await adjustCounts(postId, inc) };
+};
+
+/**
+ * Remove a member's reaction to a post, if any.
+ * Returns { previous, post } like react().
+ */
+reactionSchema.statics.unreact = async function(postId, userId) {
+  const removed = await this.findOneAndDelete({ post: postId, user: userId });
+  if (!removed) {
+    return { previous: null, post: await readCounts(postId) };
+  }
+
+  return {
+    previous: removed.type,
+    post: await adjustCounts(postId, { [`reactionCounts.${removed.type}`]: -1, reactionCount: -1 })
+  };
+};
+
+/**
+ * A viewer's reaction to each of the given posts, as a Map of
+ * post id -> type
+ */
+reactionSchema.statics.getViewerReactions = async function(postIds, userId) {
+  if (!userId || !postIds.length) return new Map();
+
+  const reactions = await this.find({ post: { $in: postIds }, user: userId })
+    .select('post type')
+    .lean();
+  return new Map(reactions.map(r => [r.post.toString(), r.type]));
+};
+
+/**
+ * One page of who reacted to a post, newest first, optionally of one
+ * type only. Returns { reactions, nextCursor }.
+ */
+reactionSchema.statics.listPage = async function(postId, { type = null, excludeUserIds = [], cursor = null, limit = 20, select = 'name avatar role' } = {}) {
+  const filter = { post: postId, user: { $nin: excludeUserIds } };
+  if (type) filter.type = type;
+  if (cursor && mongoose.Types.ObjectId.isValid(cursor)) {
+    filter._id = { $lt: cursor };
+  }
+
+  const reactions = await this.find(filter)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .populate('user', select);
+
+  const hasMore = reactions.length > limit;
+  const page = reactions.slice(0, limit);
+
+  return {
+    reactions: page
+      .filter(r => r.user)
+      .map(r => ({ user: r.user, type: r.type, reactedAt: r.updatedAt })),
+    nextCursor: hasMore ? page[page.length - 1]._id.toString() : null
+  };
+};
+
+/**
+ * Remove every reaction by a user (account purge)
+ */
+reactionSchema.statics.removeAllFor = async function(userId) {
+  const reactions = await this.find({ user: userId }).select('post type').lean();
+
+  for (const reaction of reactions) {
+    await adjustCounts(reaction.post, { [`reactionCounts.${reaction.type}`]: -1, reactionCount: -1 });
+  }
+  await this.deleteMany({ user: userId });
+};
+
+const Reaction = mongoose.model('Reaction', reactionSchema);
+
+module.exports = Reaction;
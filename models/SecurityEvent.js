@@ -0,0 +1,159 @@
+/**
+ * SecurityEvent Model
+ * Append-only record of sign-ins and account security changes, so
+ * "I didn't change my password" can be checked. Entries are never
+ * edited; MongoDB removes them after the retention period
+ * (SECURITY_EVENT_RETENTION_DAYS, default 365), and they are deleted
+ * with the account when it is purged.
+ */
+
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS) || 365;
+
+const EVENT_TYPES = [
+  'login',
+  'login_2fa',
+  'magic_link_requested',
+  'magic_link_login',
+  'oidc_login',
+  'logout',
+  'token_refresh',
+  'session_revoked',
+  'password_change',
+  'password_reset_requested',
+  'password_reset',
+  'email_verified',
+  'email_change_requested',
+  'email_change',
+  '2fa_enabled',
+  '2fa_disabled',
+  'recovery_codes_regenerated',
+  'two_factor_failed',
+  'identity_linked',
+  'identity_unlinked',
+  'api_key_created',
+  'api_key_revoked',
+  'impersonation_started',
+  'account_deletion_requested'
+];
+
+const securityEventSchema = new mongoose.Schema({
+  // null when the attempt named an account that doesn't exist
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Email the attempt was made for (kept for failed logins)
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true
+  },
+
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+
+  // Why it failed, e.g. "invalid_password", "throttled"
+  reason: String,
+
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+
+  // Event-specific data (provider, key name, ...)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  ip: String,
+  userAgent: String
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// ===================
+// INDEXES
+// ===================
+
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ email: 1, createdAt: -1 });
+securityEventSchema.index({ ip: 1, createdAt: -1 });
+// Retention. Changing SECURITY_EVENT_RETENTION_DAYS later needs a collMod
+// on this index (or dropping it) - MongoDB won't update it on its own.
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// ===================
+// MIDDLEWARE
+// ===================
+
+const immutable = function(next) {
+  next(new Error('Security events are immutable'));
+};
+
+securityEventSchema.pre('save', function(next) {
+  if (!this.isNew) return immutable(next);
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(op => securityEventSchema.pre(op, immutable));
+
+// ===================
+// METHODS
+// ===================
+
+// Format for API response (the owner's view)
+securityEventSchema.methods.toPublicEvent = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    outcome: this.outcome,
+    reason: this.reason,
+    details: this.details,
+    ip: this.ip,
+    userAgent: this.userAgent,
+    createdAt: this.createdAt
+  };
+};
+
+// ===================
+// STATICS
+// ===================
+
+// Erase a purged account's history (the only deletion the app does)
+securityEventSchema.statics.purgeForUser = async function(userId, email) {
+  return this.collection.deleteMany({
+    $or: [{ user: new mongoose.Types.ObjectId(userId) }, { email }]
+  });
+};
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+SecurityEvent.EVENT_TYPES = EVENT_TYPES;
+SecurityEvent.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = SecurityEvent;
@@ -0,0 +1,115 @@
+/**
+ * Session Model
+ * One document per signed-in device. Each session is a refresh token
+ * family: every refresh rotates tokenHash, and presenting an older token
+ * revokes the whole session.
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // SHA-256 of the jti of the only refresh token currently valid
+  tokenHash: {
+    type: String,
+    required: true
+  },
+
+  // Device info
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Staff member acting as this user (support impersonation);
+  // these sessions have no refresh token
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Revocation
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'signed_out', 'password_change', 'password_reset', 'email_change', 'reuse_detected', 'deactivated', 'account_deleted', null],
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// ===================
+// INDEXES
+// ===================
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Mongo removes expired sessions
+
+// ===================
+// VIRTUALS
+// ===================
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// ===================
+// METHODS
+// ===================
+
+// Format for API response
+sessionSchema.methods.toPublicSession = function(currentSessionId) {
+  return {
+    id: this._id,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    current: currentSessionId ? this._id.toString() === currentSessionId.toString() : false,
+    impersonated: !!this.impersonator,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt
+  };
+};
+
+// ===================
+// STATICS
+// ===================
+
+// Revoke every active session for a user
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  return this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,77 @@
+/**
+ * SigningKey Model
+ * Asymmetric keys used to sign our JWTs. A key is published (JWKS)
+ * before it starts signing, signs until the next rotation, and keeps
+ * verifying until every token it signed has expired.
+ */
+
+const mongoose = require('mongoose');
+
+const signingKeySchema = new mongoose.Schema({
+  // Key ID, sent in the JWT header
+  kid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  algorithm: {
+    type: String,
+    enum: ['RS256', 'ES256'],
+    required: true
+  },
+
+  publicKey: {
+    type: String, // PEM (SPKI)
+    required: true
+  },
+
+  // PEM (PKCS#8), AES-256-GCM encrypted when KEYRING_ENCRYPTION_KEY is set
+  privateKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  privateKeyEncrypted: {
+    type: Boolean,
+    default: false
+  },
+
+  // Starts signing at this time (published in the JWKS before that)
+  activatesAt: {
+    type: Date,
+    required: true
+  },
+
+  // Stops signing (set when a newer key takes over)
+  retiredAt: {
+    type: Date,
+    default: null
+  },
+
+  // Stops verifying; MongoDB removes the key afterwards
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Pulled early, e.g. after a suspected leak
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// ===================
+// INDEXES
+// ===================
+
+signingKeySchema.index({ activatesAt: -1 });
+signingKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SigningKey = mongoose.model('SigningKey', signingKeySchema);
+
+module.exports = SigningKey;
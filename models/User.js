@@ -5,6 +5,59 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES, roleHasPermission } = require('../config/permissions');
+const {
+  REDIRECT_DAYS: USERNAME_REDIRECT_DAYS,
+  normalizeUsername,
+  validateUsername
+} = require('../config/usernames');
+const {
+  NOTIFICATION_EVENTS,
+  AUDIENCES,
+  PRIVACY_SETTINGS,
+  POST_VISIBILITIES,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  DEFAULT_TIMEZONE,
+  notificationDefault,
+  isValidTimezone
+} = require('../config/settings');
+const { describeBadges } = require('../config/badges');
+const { CATEGORIES: VERIFICATION_CATEGORIES } = require('../config/verification');
+
+// One on/off toggle per notification event
+const notificationToggles = (channel) => Object.fromEntries(
+  NOTIFICATION_EVENTS.map(event => [event, { type: Boolean, default: notificationDefault(channel, event) }])
+);
+
+// Member preferences (see config/settings.js)
+const settingsSchema = new mongoose.Schema({
+  notifications: {
+    email: notificationToggles('email'),
+    inApp: notificationToggles('inApp')
+  },
+  privacy: Object.fromEntries(
+    Object.entries(PRIVACY_SETTINGS).map(([key, audience]) => [key, { type: String, enum: AUDIENCES, default: audience }])
+  ),
+  defaultPostVisibility: {
+    type: String,
+    enum: POST_VISIBILITIES,
+    default: 'public'
+  },
+  language: {
+    type: String,
+    enum: SUPPORTED_LANGUAGES,
+    default: DEFAULT_LANGUAGE
+  },
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: 'Invalid time zone'
+    }
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   // Basic Info
@@ -23,13 +76,33 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
   },
+  // Optional for accounts created through a social login (see identities)
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [function() { return !this.identities || this.identities.length === 0; }, 'Password is required'],
     minlength: [8, 'Password must be at least 8 characters'],
     select: false // Don't return password in queries by default
   },
   
+  // @handle (see config/usernames.js), optional until the user picks one.
+  // usernameLower makes it unique regardless of case.
+  username: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: (value) => !validateUsername(value),
+      message: (props) => validateUsername(props.value)
+    }
+  },
+  usernameLower: String,
+  usernameChangedAt: Date,
+  // Old handles keep redirecting here until `until`
+  previousUsernames: [{
+    _id: false,
+    username: String, // lowercase
+    until: Date
+  }],
+  
   // Profile
   avatar: {
     type: String,
@@ -40,10 +113,18 @@ const userSchema = new mongoose.Schema({
     maxlength: [500, 'Bio cannot exceed 500 characters'],
     default: ''
   },
+  // Display title shown on the profile (e.g. "Economist") - not a permission
   role: {
     type: String,
     default: 'Member'
   },
+  
+  // Platform permissions (see config/permissions.js)
+  platformRole: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
   location: {
     type: String,
     default: ''
@@ -53,6 +134,13 @@ const userSchema = new mongoose.Schema({
     default: ''
   },
   
+  // Private accounts approve each follower; until then only the
+  // name, avatar and public posts are visible
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  
   // Subscription Tier
   tier: {
     type: String,
@@ -80,11 +168,44 @@ const userSchema = new mongoose.Schema({
   },
   
   // Social Features
-  followers: [{
+  // Follows live in models/Follow.js; these counts are kept in step
+  // by Follow.follow() / Follow.unfollow()
+  followerCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  followingCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // Pending follows of a private account
+  followRequests: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Blocked: no follows or comments either way, posts hidden both ways
+  blockedUsers: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  following: [{
+  // Muted: their posts are hidden from this user only
+  mutedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  
+  // "People you may know" entries the user dismissed (most recent 500)
+  dismissedSuggestions: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
@@ -95,11 +216,50 @@ const userSchema = new mongoose.Schema({
     ref: 'Group'
   }],
   
+  // Notification, privacy and display preferences
+  settings: {
+    type: settingsSchema,
+    default: () => ({})
+  },
+  
+  // Achievements earned (ids from config/badges.js)
+  badges: [{
+    _id: false,
+    badge: {
+      type: String,
+      required: true
+    },
+    awardedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // Account Status
   isVerified: {
     type: Boolean,
     default: false
   },
+  // Set when staff approve a verification request (see VerificationRequest)
+  verification: {
+    category: {
+      type: String,
+      enum: VERIFICATION_CATEGORIES
+    },
+    verifiedAt: Date,
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -109,9 +269,93 @@ const userSchema = new mongoose.Schema({
     default: null
   },
   
+  // Self-deletion: account is deactivated at request time and
+  // purged once deletionScheduledFor has passed
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
+  
+  // Two-Factor Authentication (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Set during setup, only trusted once enabled is true
+    secret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  
+  // External sign-in identities (OpenID Connect providers)
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Used to invalidate tokens issued before the last password change
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  
   // Password Reset
   passwordResetToken: String,
-  passwordResetExpires: Date
+  passwordResetExpires: Date,
+  
+  // Magic-link sign-in
+  magicLinkToken: String,
+  magicLinkExpires: Date,
+  
+  // Email change waiting for confirmation from the new address
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  emailChangeToken: String,       // sent to the new address
+  emailChangeCancelToken: String, // sent to the old address
+  emailChangeExpires: Date,
+  
+  // Email Verification
+  emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  
+  // Account deletion confirmed by email (accounts without a password)
+  accountDeletionToken: String,
+  accountDeletionExpires: Date
   
 }, {
   timestamps: true, // Adds createdAt and updatedAt
@@ -125,6 +369,21 @@ const userSchema = new mongoose.Schema({
 
 userSchema.index({ email: 1 });
 userSchema.index({ name: 'text', bio: 'text' }); // For search
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+userSchema.index({ blockedUsers: 1 }); // "who blocked me" lookups
+userSchema.index({ 'followRequests.user': 1 });
+userSchema.index({ groups: 1 });     // follow suggestions
+userSchema.index({ location: 1 });   // follow suggestions
+userSchema.index({ followerCount: -1 }); // most-followed accounts
+userSchema.index(
+  { usernameLower: 1 },
+  { unique: true, partialFilterExpression: { usernameLower: { $type: 'string' } } }
+);
+userSchema.index({ 'previousUsernames.username': 1 });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 // ===================
 // VIRTUALS
@@ -140,15 +399,6 @@ userSchema.virtual('initials').get(function() {
     .slice(0, 2);
 });
 
-// Get follower/following counts
-userSchema.virtual('followerCount').get(function() {
-  return this.followers ? this.followers.length : 0;
-});
-
-userSchema.virtual('followingCount').get(function() {
-  return this.following ? this.following.length : 0;
-});
-
 // Check if premium subscription is active
 userSchema.virtual('isPremium').get(function() {
   return this.tier === 'premium' && 
@@ -156,18 +406,38 @@ userSchema.virtual('isPremium').get(function() {
          (!this.subscriptionEndDate || this.subscriptionEndDate > new Date());
 });
 
+// Check whether the account is waiting out its deletion grace period
+userSchema.virtual('isPendingDeletion').get(function() {
+  return !!this.deletionScheduledFor;
+});
+
 // ===================
 // MIDDLEWARE
 // ===================
 
+// Keep the case-insensitive handle in sync
+userSchema.pre('save', function(next) {
+  if (this.isModified('username')) {
+    this.usernameLower = this.username ? normalizeUsername(this.username) : undefined;
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   // Only hash if password is modified
   if (!this.isModified('password')) return next();
   
+  // Password removed (social-login-only account)
+  if (!this.password) {
+    if (!this.isNew) this.passwordChangedAt = new Date();
+    return next();
+  }
+  
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
@@ -180,6 +450,7 @@ userSchema.pre('save', async function(next) {
 
 // Compare password for login
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -198,27 +469,288 @@ userSchema.methods.createPasswordResetToken = function() {
   return resetToken;
 };
 
+// Generate token confirming an account deletion request
+userSchema.methods.createAccountDeletionToken = function() {
+  const crypto = require('crypto');
+  const deletionToken = crypto.randomBytes(32).toString('hex');
+  
+  this.accountDeletionToken = crypto
+    .createHash('sha256')
+    .update(deletionToken)
+    .digest('hex');
+    
+  this.accountDeletionExpires = Date.now() + 60 * 60 * 1000; // 1 hour
+  
+  return deletionToken;
+};
+
+// Generate single-use sign-in link token
+userSchema.methods.createMagicLinkToken = function() {
+  const crypto = require('crypto');
+  const magicToken = crypto.randomBytes(32).toString('hex');
+  
+  this.magicLinkToken = crypto
+    .createHash('sha256')
+    .update(magicToken)
+    .digest('hex');
+    
+  this.magicLinkExpires = Date.now() + 15 * 60 * 1000; // 15 minutes
+  
+  return magicToken;
+};
+
+// Start an email change: one token confirms (new address),
+// the other cancels (old address)
+userSchema.methods.createEmailChangeTokens = function(newEmail) {
+  const crypto = require('crypto');
+  const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+  
+  const confirmToken = crypto.randomBytes(32).toString('hex');
+  const cancelToken = crypto.randomBytes(32).toString('hex');
+  
+  this.pendingEmail = newEmail;
+  this.emailChangeToken = hash(confirmToken);
+  this.emailChangeCancelToken = hash(cancelToken);
+  this.emailChangeExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  
+  return { confirmToken, cancelToken };
+};
+
+// Drop a pending email change
+userSchema.methods.clearEmailChange = function() {
+  this.pendingEmail = null;
+  this.emailChangeToken = undefined;
+  this.emailChangeCancelToken = undefined;
+  this.emailChangeExpires = undefined;
+};
+
+// Generate email verification token
+userSchema.methods.createEmailVerificationToken = function() {
+  const crypto = require('crypto');
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+    
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  
+  return verificationToken;
+};
+
+// Check platform permission
+userSchema.methods.hasPermission = function(permission) {
+  return roleHasPermission(this.platformRole, permission);
+};
+
+// Campaign organizers with payouts configured must use 2FA
+userSchema.methods.requiresTwoFactor = async function() {
+  const Campaign = mongoose.model('Campaign');
+  const hasPayouts = await Campaign.exists({
+    organizer: this._id,
+    stripeAccountId: { $nin: [null, ''] }
+  });
+  return !!hasPayouts;
+};
+
+// Find a linked external identity by provider
+userSchema.methods.getIdentity = function(provider) {
+  return (this.identities || []).find(i => i.provider === provider) || null;
+};
+
+// Switch to a new handle; the old one redirects for a while
+userSchema.methods.changeUsername = function(username) {
+  const now = new Date();
+  const lower = normalizeUsername(username);
+  
+  // Drop expired redirects, and the new handle if it was an old one
+  this.previousUsernames = (this.previousUsernames || [])
+    .filter(p => p.until > now && p.username !== lower);
+  
+  if (this.usernameLower && this.usernameLower !== lower) {
+    this.previousUsernames.push({
+      username: this.usernameLower,
+      until: new Date(now.getTime() + USERNAME_REDIRECT_DAYS * 24 * 60 * 60 * 1000)
+    });
+  }
+  
+  this.username = username.trim();
+  this.usernameChangedAt = now;
+};
+
+// Check whether a user follows this one
+userSchema.methods.isFollowedBy = async function(userId) {
+  if (!userId) return false;
+  return mongoose.model('Follow').isFollowing(userId, this._id);
+};
+
+userSchema.methods.hasFollowRequestFrom = function(userId) {
+  if (!userId) return false;
+  return (this.followRequests || []).some(r => r.user.toString() === userId.toString());
+};
+
+// Private profiles are visible to the owner and approved followers only
+userSchema.methods.canBeViewedBy = async function(userId) {
+  if (!this.isPrivate) return true;
+  if (!userId) return false;
+  return this._id.toString() === userId.toString() || this.isFollowedBy(userId);
+};
+
+// Whether a viewer is in the audience this user chose for a privacy
+// setting ('whoCanMessage', 'whoCanComment', 'whoCanSeeFollowers')
+userSchema.methods.privacyAllows = async function(setting, userId) {
+  if (userId && this._id.toString() === userId.toString()) return true;
+  
+  const audience = (this.settings && this.settings.privacy && this.settings.privacy[setting]) ||
+    PRIVACY_SETTINGS[setting];
+  if (audience === 'everyone') return true;
+  if (audience === 'followers') return this.isFollowedBy(userId);
+  return false;
+};
+
+// Whether this user wants to hear about an event ('email' or 'inApp')
+userSchema.methods.wantsNotification = function(event, channel = 'inApp') {
+  const toggles = this.settings && this.settings.notifications && this.settings.notifications[channel];
+  return !!(toggles && toggles[event]);
+};
+
+// Check whether this user has blocked / muted another
+userSchema.methods.hasBlocked = function(userId) {
+  return (this.blockedUsers || []).some(id => id.toString() === userId.toString());
+};
+
+userSchema.methods.hasMuted = function(userId) {
+  return (this.mutedUsers || []).some(id => id.toString() === userId.toString());
+};
+
 // Get public profile (safe to send to frontend)
 userSchema.methods.toPublicProfile = function() {
   return {
     id: this._id,
     name: this.name,
+    username: this.username || null,
     email: this.email,
     avatar: this.avatar,
     initials: this.initials,
     bio: this.bio,
     role: this.role,
+    platformRole: this.platformRole,
     location: this.location,
     website: this.website,
+    isPrivate: this.isPrivate,
     tier: this.tier,
     isPremium: this.isPremium,
     followerCount: this.followerCount,
     followingCount: this.followingCount,
     isVerified: this.isVerified,
+    verifiedAs: this.isVerified && this.verification ? this.verification.category || null : null,
+    badges: describeBadges(this.badges),
+    isEmailVerified: this.isEmailVerified,
     createdAt: this.createdAt
   };
 };
 
+// The owner's own view (and staff's): adds account security details
+// that would tell others too much
+userSchema.methods.toSelfProfile = function() {
+  return {
+    ...this.toPublicProfile(),
+    pendingEmail: this.pendingEmail || null,
+    twoFactorEnabled: !!(this.twoFactor && this.twoFactor.enabled),
+    linkedProviders: (this.identities || []).map(i => i.provider)
+  };
+};
+
+// What everyone may see of a private account
+userSchema.methods.toLimitedProfile = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    username: this.username || null,
+    avatar: this.avatar,
+    initials: this.initials,
+    isPrivate: this.isPrivate,
+    isVerified: this.isVerified,
+    followerCount: this.followerCount,
+    followingCount: this.followingCount
+  };
+};
+
+// ===================
+// STATICS
+// ===================
+
+/**
+ * Users whose content a viewer should not see: everyone they blocked
+ * or muted, and everyone who blocked them
+ */
+userSchema.statics.getHiddenUserIds = async function(userId) {
+  if (!userId) return [];
+  
+  const [viewer, blockedBy] = await Promise.all([
+    this.findById(userId).select('blockedUsers mutedUsers'),
+    this.find({ blockedUsers: userId }).distinct('_id')
+  ]);
+  
+  if (!viewer) return blockedBy;
+  return [...viewer.blockedUsers, ...viewer.mutedUsers, ...blockedBy];
+};
+
+/**
+ * Find a user by @handle (case-insensitive). Old handles still inside
+ * their redirect period resolve too, with redirected: true.
+ */
+userSchema.statics.findByHandle = async function(handle) {
+  const lower = normalizeUsername(handle).replace(/^@/, '');
+  if (!lower) return { user: null, redirected: false };
+  
+  const user = await this.findOne({ usernameLower: lower, isActive: true });
+  if (user) return { user, redirected: false };
+  
+  const previous = await this.findOne({
+    isActive: true,
+    previousUsernames: { $elemMatch: { username: lower, until: { $gt: new Date() } } }
+  });
+  return { user: previous, redirected: !!previous };
+};
+
+/**
+ * Check whether a handle can be claimed. userId = the user asking,
+ * who may take back their own old handle.
+ * Returns { available, reason }.
+ */
+userSchema.statics.checkUsernameAvailability = async function(username, userId = null) {
+  const invalid = validateUsername(username);
+  if (invalid) return { available: false, reason: invalid };
+  
+  const lower = normalizeUsername(username);
+  const notMe = userId ? { _id: { $ne: userId } } : {};
+  
+  const taken = await this.exists({
+    ...notMe,
+    $or: [
+      { usernameLower: lower },
+      { previousUsernames: { $elemMatch: { username: lower, until: { $gt: new Date() } } } }
+    ]
+  });
+  
+  return taken
+    ? { available: false, reason: 'This username is taken' }
+    : { available: true, reason: null };
+};
+
+// Whether either user has blocked the other
+userSchema.statics.isBlockedBetween = async function(userId, otherUserId) {
+  const block = await this.exists({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId }
+    ]
+  });
+  return !!block;
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
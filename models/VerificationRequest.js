@@ -0,0 +1,115 @@
+/**
+ * VerificationRequest Model
+ * A member's application for the verified badge, and its review.
+ * A member has at most one pending request; past requests are kept
+ * as the history of who approved, rejected or revoked what.
+ */
+
+const mongoose = require('mongoose');
+const { CATEGORIES } = require('../config/verification');
+
+const verificationRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  category: {
+    type: String,
+    enum: CATEGORIES,
+    required: true
+  },
+
+  // Public pages that back the claim (website, publications, press)
+  links: [{
+    type: String,
+    trim: true
+  }],
+
+  // Uploaded files, stored under UPLOAD_DIR as storedName
+  documents: [{
+    storedName: {
+      type: String,
+      required: true
+    },
+    originalName: String,
+    mimeType: String,
+    size: Number
+  }],
+
+  // Anything the applicant wants reviewers to know
+  note: {
+    type: String,
+    maxlength: [1000, 'Note cannot exceed 1000 characters']
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'withdrawn', 'revoked'],
+    default: 'pending'
+  },
+
+  // Approval or rejection
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: Date,
+  reviewReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  // Badge taken away after approval
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: Date,
+  revokeReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  }
+
+}, {
+  timestamps: true
+});
+
+// ===================
+// INDEXES
+// ===================
+
+verificationRequestSchema.index({ status: 1, createdAt: 1 }); // review queue, oldest first
+verificationRequestSchema.index({ user: 1, createdAt: -1 });
+// One pending request per member
+verificationRequestSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// ===================
+// METHODS
+// ===================
+
+// What the applicant sees (no staff ids)
+verificationRequestSchema.methods.toApplicantView = function() {
+  return {
+    id: this._id,
+    category: this.category,
+    links: this.links,
+    documents: this.documents.map(d => ({ name: d.originalName, size: d.size })),
+    note: this.note,
+    status: this.status,
+    reason: this.status === 'revoked' ? this.revokeReason : this.reviewReason,
+    reviewedAt: this.reviewedAt,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+const VerificationRequest = mongoose.model('VerificationRequest', verificationRequestSchema);
+
+module.exports = VerificationRequest;
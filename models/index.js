@@ -7,10 +7,36 @@ const User = require('./User');
 const Post = require('./Post');
 const Group = require('./Group');
 const Campaign = require('./Campaign');
+const Session = require('./Session');
+const LoginAttempt = require('./LoginAttempt');
+const AuditLog = require('./AuditLog');
+const ApiKey = require('./ApiKey');
+const OidcState = require('./OidcState');
+const SecurityEvent = require('./SecurityEvent');
+const SigningKey = require('./SigningKey');
+const FollowSuggestion = require('./FollowSuggestion');
+const Follow = require('./Follow');
+const VerificationRequest = require('./VerificationRequest');
+const Comment = require('./Comment');
+const Notification = require('./Notification');
+const Reaction = require('./Reaction');
 
 module.exports = {
   User,
   Post,
   Group,
-  Campaign
+  Campaign,
+  Session,
+  LoginAttempt,
+  AuditLog,
+  ApiKey,
+  OidcState,
+  SecurityEvent,
+  SigningKey,
+  FollowSuggestion,
+  Follow,
+  VerificationRequest,
+  Comment,
+  Notification,
+  Reaction
 };
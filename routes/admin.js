@@ -0,0 +1,1230 @@
+/**
+ * Admin Routes
+ * Platform staff actions: listings, moderation, featuring,
+ * verification and platform statistics.
+ * Every action that changes data is written to the audit log.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Group = require('../models/Group');
+const Campaign = require('../models/Campaign');
+const AuditLog = require('../models/AuditLog');
+const SecurityEvent = require('../models/SecurityEvent');
+const VerificationRequest = require('../models/VerificationRequest');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const Reaction = require('../models/Reaction');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { ROLES, outranks } = require('../config/permissions');
+const { TTL_MINUTES: IMPERSONATION_TTL_MINUTES } = require('../config/impersonation');
+const { CATEGORIES: VERIFICATION_CATEGORIES } = require('../config/verification');
+const { recordAudit } = require('../services/auditLog');
+const { recordSecurityEvent } = require('../services/securityEvents');
+const { revokeAllSessions, createImpersonationSession } = require('../services/sessions');
+const { documentPath, removeDocuments, notifyApplicant } = require('../services/verification');
+
+const router = express.Router();
+
+// Every admin route needs a signed-in user
+router.use(authenticate);
+
+// ===================
+// HELPERS
+// ===================
+
+const getPagination = (req) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "true" / "false" query params -> boolean, anything else -> undefined
+const parseBoolean = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+};
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Never leave the platform without an active admin
+const isLastAdmin = async (user) => {
+  if (user.platformRole !== 'admin' || !user.isActive) return false;
+  const adminCount = await User.countDocuments({ platformRole: 'admin', isActive: true });
+  return adminCount <= 1;
+};
+
+const toAdminUser = (user) => ({
+  ...user.toSelfProfile(),
+  isActive: user.isActive,
+  lastLogin: user.lastLogin,
+  subscriptionStatus: user.subscriptionStatus
+});
+
+// ===================
+// VALIDATION RULES
+// ===================
+
+// Listing filters go straight into Mongo queries, so each one is checked
+// against its allowed values; ?tier[$ne]=x must not become an operator
+const enumValues = (Model, path) => Model.schema.path(path).enumValues;
+
+const searchValidator = query('q').optional().isString().withMessage('Invalid search');
+
+const userFilterValidation = [
+  searchValidator,
+  query('platformRole').optional().isIn(ROLES).withMessage('Invalid platform role'),
+  query('tier').optional().isIn(enumValues(User, 'tier')).withMessage('Invalid tier')
+];
+
+const groupFilterValidation = [
+  searchValidator,
+  query('category').optional().isIn(enumValues(Group, 'category')).withMessage('Invalid category'),
+  query('privacy').optional().isIn(enumValues(Group, 'privacy')).withMessage('Invalid privacy')
+];
+
+const campaignFilterValidation = [
+  searchValidator,
+  query('status').optional().isIn(enumValues(Campaign, 'status')).withMessage('Invalid status'),
+  query('category').optional().isIn(enumValues(Campaign, 'category')).withMessage('Invalid category')
+];
+
+const postFilterValidation = [
+  searchValidator
+];
+
+const verificationFilterValidation = [
+  query('status').optional().isIn(enumValues(VerificationRequest, 'status')).withMessage('Invalid status'),
+  query('category').optional().isIn(VERIFICATION_CATEGORIES).withMessage('Invalid category')
+];
+
+const securityEventFilterValidation = [
+  query('email').optional().isEmail().withMessage('Invalid email'),
+  query('ip').optional().isString().withMessage('Invalid IP'),
+  query('type').optional().isIn(SecurityEvent.EVENT_TYPES).withMessage('Invalid event type'),
+  query('outcome').optional().isIn(enumValues(SecurityEvent, 'outcome')).withMessage('Invalid outcome')
+];
+
+const auditFilterValidation = [
+  query('action').optional().isString().withMessage('Invalid action'),
+  query('targetType').optional().isIn(enumValues(AuditLog, 'targetType')).withMessage('Invalid target type')
+];
+
+// ===================
+// LISTINGS
+// ===================
+
+/**
+ * GET /api/admin/users
+ * Filters: q (name/email), platformRole, tier, active, verified
+ */
+router.get('/users', requirePermission('users:read'), userFilterValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page, limit, skip } = getPagination(req);
+    const { q, platformRole, tier } = req.query;
+
+    const filter = {};
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (platformRole) filter.platformRole = platformRole;
+    if (tier) filter.tier = tier;
+    if (parseBoolean(req.query.active) !== undefined) filter.isActive = parseBoolean(req.query.active);
+    if (parseBoolean(req.query.verified) !== undefined) filter.isVerified = parseBoolean(req.query.verified);
+
+    const [users, total] = await Promise.all([
+      User.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      users: users.map(toAdminUser),
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({ error: 'Failed to get users.' });
+  }
+});
+
+/**
+ * GET /api/admin/groups
+ * Filters: q (name), category, privacy, active, featured
+ */
+router.get('/groups', requirePermission('content:read'), groupFilterValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page, limit, skip } = getPagination(req);
+    const { q, category, privacy } = req.query;
+
+    const filter = {};
+    if (q) filter.name = new RegExp(escapeRegex(q), 'i');
+    if (category) filter.category = category;
+    if (privacy) filter.privacy = privacy;
+    if (parseBoolean(req.query.active) !== undefined) filter.isActive = parseBoolean(req.query.active);
+    if (parseBoolean(req.query.featured) !== undefined) filter.isFeatured = parseBoolean(req.query.featured);
+
+    const [groups, total] = await Promise.all([
+      Group.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('creator', 'name email avatar'),
+      Group.countDocuments(filter)
+    ]);
+
+    res.json({
+      groups: groups.map(g => ({
+        ...g.toPublicGroup(),
+        creator: g.creator,
+        isActive: g.isActive
+      })),
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    console.error('Admin list groups error:', error);
+    res.status(500).json({ error: 'Failed to get groups.' });
+  }
+});
+
+/**
+ * GET /api/admin/campaigns
+ * Filters: q (title), status, category, featured, verified, organizer
+ */
+router.get('/campaigns', requirePermission('campaigns:read'), campaignFilterValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page, limit, skip } = getPagination(req);
+    const { q, status, category, organizer } = req.query;
+
+    const filter = {};
+    if (q) filter.title = new RegExp(escapeRegex(q), 'i');
+    if (status) filter.status = status;
+    if (category) filter.category = category;
+    if (organizer && isValidId(organizer)) filter.organizer = organizer;
+    if (parseBoolean(req.query.featured) !== undefined) filter.isFeatured = parseBoolean(req.query.featured);
+    if (parseBoolean(req.query.verified) !== undefined) filter.isVerified = parseBoolean(req.query.verified);
+
+    const [campaigns, total] = await Promise.all([
+      Campaign.find(filter)
+        .select('-donations')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('organizer', 'name email avatar'),
+      Campaign.countDocuments(filter)
+    ]);
+
+    res.json({
+      campaigns: campaigns.map(c => ({
+        ...c.toPublicCampaign(),
+        verificationDetails: c.verificationDetails
+      })),
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    console.error('Admin list campaigns error:', error);
+    res.status(500).json({ error: 'Failed to get campaigns.' });
+  }
+});
+
+/**
+ * GET /api/admin/posts
+ * Filters: q (content), author, group, deleted
+ */
+router.get('/posts', requirePermission('content:read'), postFilterValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page, limit, skip } = getPagination(req);
+    const { q, author, group } = req.query;
+
+    const filter = {};
+    if (q) filter.content = new RegExp(escapeRegex(q), 'i');
+    if (author && isValidId(author)) filter.author = author;
+    if (group && isValidId(group)) filter.group = group;
+    if (parseBoolean(req.query.deleted) !== undefined) filter.isDeleted = parseBoolean(req.query.deleted);
+
+    const [posts, total] = await Promise.all([
+      Post.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('author', 'name email avatar'),
+      Post.countDocuments(filter)
+    ]);
+
+    res.json({
+      posts: posts.map(p => ({
+        ...p.toFeedItem(),
+        isDeleted: p.isDeleted
+      })),
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    console.error('Admin list posts error:', error);
+    res.status(500).json({ error: 'Failed to get posts.' });
+  }
+});
+
+// ===================
+// USER ACTIONS
+// ===================
+
+/**
+ * PUT /api/admin/users/:id/role
+ * Change a user's platform role
+ */
+router.put('/users/:id/role',
+  requirePermission('users:manage_roles'),
+  body('platformRole').isIn(ROLES).withMessage('Invalid platform role'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const { platformRole } = req.body;
+      const previousRole = user.platformRole;
+
+      if (platformRole !== 'admin' && await isLastAdmin(user)) {
+        return res.status(400).json({ error: 'Cannot remove the last admin' });
+      }
+
+      user.platformRole = platformRole;
+      await user.save();
+
+      await recordAudit(req, {
+        action: 'user.role_change',
+        targetType: 'user',
+        targetId: user._id,
+        details: { from: previousRole, to: platformRole }
+      });
+
+      res.json({
+        message: 'Platform role updated',
+        user: toAdminUser(user)
+      });
+
+    } catch (error) {
+      console.error('Update role error:', error);
+      res.status(500).json({ error: 'Failed to update role.' });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/users/:id/deactivate
+ * Deactivate an account and sign it out everywhere
+ */
+router.post('/users/:id/deactivate',
+  requirePermission('users:deactivate'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (user._id.toString() === req.userId.toString()) {
+        return res.status(400).json({ error: 'You cannot deactivate your own account' });
+      }
+
+      if (!user.isActive) {
+        return res.status(400).json({ error: 'Account is already deactivated' });
+      }
+
+      // Staff can only deactivate accounts at or below their own role
+      if (outranks(user.platformRole, req.user.platformRole)) {
+        return res.status(403).json({ error: 'You cannot deactivate an account with a higher role than yours' });
+      }
+
+      if (await isLastAdmin(user)) {
+        return res.status(400).json({ error: 'Cannot remove the last admin' });
+      }
+
+      user.isActive = false;
+      await user.save();
+      await revokeAllSessions(user._id, 'deactivated');
+
+      await recordAudit(req, {
+        action: 'user.deactivate',
+        targetType: 'user',
+        targetId: user._id,
+        details: { reason: req.body.reason || null }
+      });
+
+      res.json({
+        message: 'Account deactivated',
+        user: toAdminUser(user)
+      });
+
+    } catch (error) {
+      console.error('Deactivate user error:', error);
+      res.status(500).json({ error: 'Failed to deactivate user.' });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/users/:id/reactivate
+ */
+router.post('/users/:id/reactivate', requirePermission('users:deactivate'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.isActive) {
+      return res.status(400).json({ error: 'Account is already active' });
+    }
+
+    user.isActive = true;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.reactivate',
+      targetType: 'user',
+      targetId: user._id
+    });
+
+    res.json({
+      message: 'Account reactivated',
+      user: toAdminUser(user)
+    });
+
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    res.status(500).json({ error: 'Failed to reactivate user.' });
+  }
+});
+
+/**
+ * POST /api/admin/impersonate/:userId
+ * Get a short-lived token that acts as a member, to see what they see.
+ * Sensitive actions are refused with it and every request made with it
+ * is audited under the staff member's id. POST /api/auth/logout with
+ * the token ends it early.
+ */
+router.post('/impersonate/:userId',
+  requirePermission('users:impersonate'),
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Reason is required (e.g. the support ticket)')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!isValidId(req.params.userId)) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const user = await User.findById(req.params.userId);
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (user._id.toString() === req.userId.toString()) {
+        return res.status(400).json({ error: 'You cannot impersonate yourself' });
+      }
+
+      // Staff accounts are off limits: no borrowing someone else's permissions
+      if (user.platformRole !== 'user') {
+        return res.status(403).json({ error: 'Staff accounts cannot be impersonated' });
+      }
+
+      if (!user.isActive) {
+        return res.status(400).json({ error: 'Account is deactivated' });
+      }
+
+      const { session, token } = await createImpersonationSession(
+        user, req.user, req, IMPERSONATION_TTL_MINUTES
+      );
+
+      await recordAudit(req, {
+        action: 'user.impersonate',
+        targetType: 'user',
+        targetId: user._id,
+        details: { reason: req.body.reason, session: session._id, expiresAt: session.expiresAt }
+      });
+
+      // Shows up in the member's own security log
+      await recordSecurityEvent(req, {
+        type: 'impersonation_started',
+        user,
+        session: session._id,
+        details: { expiresAt: session.expiresAt }
+      });
+
+      res.status(201).json({
+        message: `Acting as ${user.name} until ${session.expiresAt.toISOString()}`,
+        token,
+        expiresAt: session.expiresAt,
+        user: toAdminUser(user)
+      });
+
+    } catch (error) {
+      console.error('Impersonate user error:', error);
+      res.status(500).json({ error: 'Failed to start impersonation.' });
+    }
+  }
+);
+
+// ===================
+// VERIFICATION
+// ===================
+
+const toAdminVerificationRequest = (request) => ({
+  id: request._id,
+  user: request.user,
+  category: request.category,
+  links: request.links,
+  documents: request.documents.map(d => ({
+    id: d._id,
+    name: d.originalName,
+    mimeType: d.mimeType,
+    size: d.size
+  })),
+  note: request.note,
+  status: request.status,
+  reviewedBy: request.reviewedBy,
+  reviewedAt: request.reviewedAt,
+  reviewReason: request.reviewReason,
+  revokedBy: request.revokedBy,
+  revokedAt: request.revokedAt,
+  revokeReason: request.revokeReason,
+  createdAt: request.createdAt
+});
+
+/**
+ * GET /api/admin/verification-requests
+ * Review queue, oldest first. Filters: status (default pending), category
+ */
+router.get('/verification-requests', requirePermission('users:verify'), verificationFilterValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page, limit, skip } = getPagination(req);
+    const { status = 'pending', category } = req.query;
+
+    const filter = { status };
+    if (category) filter.category = category;
+
+    const [requests, total] = await Promise.all([
+      VerificationRequest.find(filter)
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('user', 'name username email avatar bio isVerified')
+        .populate('reviewedBy', 'name email'),
+      VerificationRequest.countDocuments(filter)
+    ]);
+
+    res.json({
+      requests: requests.map(toAdminVerificationRequest),
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    console.error('Admin list verification requests error:', error);
+    res.status(500).json({ error: 'Failed to get verification requests.' });
+  }
+});
+
+/**
+ * GET /api/admin/verification-requests/:id/documents/:documentId
+ * Download one supporting document (audited)
+ */
+router.get('/verification-requests/:id/documents/:documentId', requirePermission('users:verify'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id) || !isValidId(req.params.documentId)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const request = await VerificationRequest.findById(req.params.id);
+    const document = request && request.documents.id(req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'user.verification_document_view',
+      targetType: 'user',
+      targetId: request.user,
+      details: { request: request._id, document: document._id }
+    });
+
+    res.download(documentPath(document), document.originalName, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Verification document download error:', error);
+        res.status(404).json({ error: 'Document not found' });
+      }
+    });
+
+  } catch (error) {
+    console.error('Verification document error:', error);
+    res.status(500).json({ error: 'Failed to get document.' });
+  }
+});
+
+/**
+ * POST /api/admin/verification-requests/:id/approve
+ * Verify the member; records who approved it and when
+ */
+router.post('/verification-requests/:id/approve',
+  requirePermission('users:verify'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!isValidId(req.params.id)) {
+        return res.status(404).json({ error: 'Verification request not found' });
+      }
+
+      // Only a pending request can be decided, and only once
+      const request = await VerificationRequest.findOneAndUpdate(
+        { _id: req.params.id, status: 'pending' },
+        {
+          $set: {
+            status: 'approved',
+            reviewedBy: req.userId,
+            reviewedAt: new Date(),
+            reviewReason: req.body.reason || undefined
+          }
+        },
+        { new: true }
+      );
+
+      if (!request) {
+        return res.status(404).json({ error: 'No pending verification request found' });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        request.user,
+        {
+          $set: {
+            isVerified: true,
+            verification: {
+              category: request.category,
+              verifiedAt: request.reviewedAt,
+              verifiedBy: req.userId
+            }
+          }
+        },
+        { new: true }
+      );
+
+      await recordAudit(req, {
+        action: 'user.verification_approve',
+        targetType: 'user',
+        targetId: request.user,
+        details: { request: request._id, category: request.category, reason: req.body.reason || null }
+      });
+
+      if (user) {
+        await notifyApplicant(user, 'approved', { category: request.category });
+      }
+
+      res.json({
+        message: 'Verification approved',
+        request: toAdminVerificationRequest(request)
+      });
+
+    } catch (error) {
+      console.error('Approve verification error:', error);
+      res.status(500).json({ error: 'Failed to approve verification.' });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/verification-requests/:id/reject
+ * Turn a request down; the reason is sent to the member
+ */
+router.post('/verification-requests/:id/reject',
+  requirePermission('users:verify'),
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Reason is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!isValidId(req.params.id)) {
+        return res.status(404).json({ error: 'Verification request not found' });
+      }
+
+      const request = await VerificationRequest.findOneAndUpdate(
+        { _id: req.params.id, status: 'pending' },
+        {
+          $set: {
+            status: 'rejected',
+            reviewedBy: req.userId,
+            reviewedAt: new Date(),
+            reviewReason: req.body.reason
+          }
+        },
+        { new: true }
+      );
+
+      if (!request) {
+        return res.status(404).json({ error: 'No pending verification request found' });
+      }
+
+      // Rejected applications don't need their identity papers kept
+      await removeDocuments(request.documents);
+      request.documents = [];
+      await request.save();
+
+      await recordAudit(req, {
+        action: 'user.verification_reject',
+        targetType: 'user',
+        targetId: request.user,
+        details: { request: request._id, category: request.category, reason: req.body.reason }
+      });
+
+      const user = await User.findById(request.user).select('name email');
+      if (user) {
+        await notifyApplicant(user, 'rejected', { reason: req.body.reason });
+      }
+
+      res.json({
+        message: 'Verification rejected',
+        request: toAdminVerificationRequest(request)
+      });
+
+    } catch (error) {
+      console.error('Reject verification error:', error);
+      res.status(500).json({ error: 'Failed to reject verification.' });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/users/:id/revoke-verification
+ * Take the verified badge away; the reason is sent to the member
+ */
+router.post('/users/:id/revoke-verification',
+  requirePermission('users:verify'),
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Reason is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!isValidId(req.params.id)) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const user = await User.findOneAndUpdate(
+        { _id: req.params.id, isVerified: true },
+        { $set: { isVerified: false }, $unset: { verification: '' } },
+        { new: true }
+      );
+
+      if (!user) {
+        const exists = await User.exists({ _id: req.params.id });
+        return exists
+          ? res.status(400).json({ error: 'User is not verified' })
+          : res.status(404).json({ error: 'User not found' });
+      }
+
+      // Close the approval that granted it, if there is one
+      const request = await VerificationRequest.findOneAndUpdate(
+        { user: user._id, status: 'approved' },
+        {
+          $set: {
+            status: 'revoked',
+            revokedBy: req.userId,
+            revokedAt: new Date(),
+            revokeReason: req.body.reason
+          }
+        },
+        { sort: { reviewedAt: -1 }, new: true }
+      );
+
+      await recordAudit(req, {
+        action: 'user.verification_revoke',
+        targetType: 'user',
+        targetId: user._id,
+        details: { request: request ? request._id : null, reason: req.body.reason }
+      });
+
+      await notifyApplicant(user, 'revoked', { reason: req.body.reason });
+
+      res.json({
+        message: 'Verification revoked',
+        user: toAdminUser(user)
+      });
+
+    } catch (error) {
+      console.error('Revoke verification error:', error);
+      res.status(500).json({ error: 'Failed to revoke verification.' });
+    }
+  }
+);
+
+// ===================
+// GROUP ACTIONS
+// ===================
+
+/**
+ * PUT /api/admin/groups/:id/feature
+ * Feature or unfeature a group
+ */
+router.put('/groups/:id/feature',
+  requirePermission('groups:feature'),
+  body('featured').isBoolean().withMessage('featured must be true or false'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const group = await Group.findById(req.params.id);
+
+      if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+
+      group.isFeatured = req.body.featured;
+      await group.save();
+
+      await recordAudit(req, {
+        action: group.isFeatured ? 'group.feature' : 'group.unfeature',
+        targetType: 'group',
+        targetId: group._id
+      });
+
+      res.json({
+        message: group.isFeatured ? 'Group featured' : 'Group unfeatured',
+        group: group.toPublicGroup(req.userId)
+      });
+
+    } catch (error) {
+      console.error('Feature group error:', error);
+      res.status(500).json({ error: 'Failed to update group.' });
+    }
+  }
+);
+
+// ===================
+// CAMPAIGN ACTIONS
+// ===================
+
+/**
+ * PUT /api/admin/campaigns/:id/feature
+ * Feature or unfeature a campaign
+ */
+router.put('/campaigns/:id/feature',
+  requirePermission('campaigns:feature'),
+  body('featured').isBoolean().withMessage('featured must be true or false'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const campaign = await Campaign.findById(req.params.id);
+
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      campaign.isFeatured = req.body.featured;
+      await campaign.save();
+
+      await recordAudit(req, {
+        action: campaign.isFeatured ? 'campaign.feature' : 'campaign.unfeature',
+        targetType: 'campaign',
+        targetId: campaign._id
+      });
+
+      res.json({
+        message: campaign.isFeatured ? 'Campaign featured' : 'Campaign unfeatured',
+        campaign: campaign.toPublicCampaign(req.userId)
+      });
+
+    } catch (error) {
+      console.error('Feature campaign error:', error);
+      res.status(500).json({ error: 'Failed to update campaign.' });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/campaigns/:id/verify
+ * Verify a campaign (or withdraw verification)
+ */
+router.put('/campaigns/:id/verify',
+  requirePermission('campaigns:verify'),
+  [
+    body('verified').isBoolean().withMessage('verified must be true or false'),
+    body('documents')
+      .optional()
+      .isArray().withMessage('Documents must be an array')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const campaign = await Campaign.findById(req.params.id);
+
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      campaign.isVerified = req.body.verified;
+
+      if (campaign.isVerified) {
+        campaign.verificationDetails.verifiedBy = req.userId;
+        campaign.verificationDetails.verifiedAt = new Date();
+        if (req.body.documents) {
+          campaign.verificationDetails.documents = req.body.documents;
+        }
+      } else {
+        campaign.verificationDetails.verifiedBy = undefined;
+        campaign.verificationDetails.verifiedAt = undefined;
+      }
+
+      await campaign.save();
+
+      await recordAudit(req, {
+        action: campaign.isVerified ? 'campaign.verify' : 'campaign.unverify',
+        targetType: 'campaign',
+        targetId: campaign._id,
+        details: req.body.documents ? { documents: req.body.documents } : {}
+      });
+
+      res.json({
+        message: campaign.isVerified ? 'Campaign verified' : 'Campaign verification removed',
+        campaign: campaign.toPublicCampaign(req.userId)
+      });
+
+    } catch (error) {
+      console.error('Verify campaign error:', error);
+      res.status(500).json({ error: 'Failed to verify campaign.' });
+    }
+  }
+);
+
+// ===================
+// POST ACTIONS
+// ===================
+
+/**
+ * DELETE /api/admin/posts/:id
+ * Permanently delete a post (bypasses the author's soft delete)
+ */
+router.delete('/posts/:id',
+  requirePermission('content:moderate'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const post = await Post.findById(req.params.id);
+
+      if (!post) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+
+      await post.deleteOne();
+      await Comment.deleteMany({ post: post._id });
+      await Notification.deleteMany({ post: post._id });
+      await Reaction.deleteMany({ post: post._id });
+
+      if (post.group && !post.isDeleted) {
+        await Group.updateOne(
+          { _id: post.group, postCount: { $gt: 0 } },
+          { $inc: { postCount: -1 } }
+        );
+      }
+
+      // Keep enough of the post in the log to know what was removed
+      await recordAudit(req, {
+        action: 'post.force_delete',
+        targetType: 'post',
+        targetId: post._id,
+        details: {
+          reason: req.body.reason || null,
+          author: post.author,
+          group: post.group,
+          content: post.content.slice(0, 500)
+        }
+      });
+
+      res.json({ message: 'Post permanently deleted' });
+
+    } catch (error) {
+      console.error('Force delete post error:', error);
+      res.status(500).json({ error: 'Failed to delete post.' });
+    }
+  }
+);
+
+// ===================
+// STATS & AUDIT
+// ===================
+
+/**
+ * GET /api/admin/stats
+ * Signups, posts and donation volume per day for the last `days` days
+ */
+router.get('/stats', requirePermission('stats:read'), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+    since.setUTCDate(since.getUTCDate() - (days - 1));
+
+    const byDay = (field) => ({
+      $dateToString: { format: '%Y-%m-%d', date: field }
+    });
+
+    const [signups, posts, donations, totals] = await Promise.all([
+      User.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: byDay('$createdAt'), count: { $sum: 1 } } }
+      ]),
+      Post.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: byDay('$createdAt'), count: { $sum: 1 } } }
+      ]),
+      Campaign.aggregate([
+        { $match: { 'donations.createdAt': { $gte: since } } },
+        { $unwind: '$donations' },
+        {
+          $match: {
+            'donations.createdAt': { $gte: since },
+            'donations.status': 'completed'
+          }
+        },
+        {
+          $group: {
+            _id: byDay('$donations.createdAt'),
+            count: { $sum: 1 },
+            amount: { $sum: '$donations.amount' }
+          }
+        }
+      ]),
+      Promise.all([
+        User.countDocuments(),
+        User.countDocuments({ isActive: true }),
+        Post.countDocuments({ isDeleted: false }),
+        Group.countDocuments({ isActive: true }),
+        Campaign.countDocuments({ status: 'active' })
+      ])
+    ]);
+
+    // Fill every day so charts don't have gaps
+    const signupMap = new Map(signups.map(d => [d._id, d.count]));
+    const postMap = new Map(posts.map(d => [d._id, d.count]));
+    const donationMap = new Map(donations.map(d => [d._id, d]));
+
+    const daily = [];
+    for (let i = 0; i < days; i++) {
+      const date = new Date(since);
+      date.setUTCDate(since.getUTCDate() + i);
+      const key = date.toISOString().slice(0, 10);
+      const donation = donationMap.get(key);
+
+      daily.push({
+        date: key,
+        signups: signupMap.get(key) || 0,
+        posts: postMap.get(key) || 0,
+        donations: donation ? donation.count : 0,
+        donationVolume: donation ? donation.amount : 0
+      });
+    }
+
+    const [users, activeUsers, livePosts, activeGroups, activeCampaigns] = totals;
+
+    res.json({
+      since,
+      days,
+      totals: { users, activeUsers, posts: livePosts, groups: activeGroups, activeCampaigns },
+      daily
+    });
+
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({ error: 'Failed to get stats.' });
+  }
+});
+
+/**
+ * GET /api/admin/audit-log
+ * Filters: actor, action, targetType, targetId
+ */
+router.get('/audit-log', requirePermission('audit:read'), auditFilterValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page, limit, skip } = getPagination(req);
+    const { actor, action, targetType, targetId } = req.query;
+
+    const filter = {};
+    if (actor && isValidId(actor)) filter.actor = actor;
+    if (action) filter.action = action;
+    if (targetType) filter.targetType = targetType;
+    if (targetId && isValidId(targetId)) filter.targetId = targetId;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('actor', 'name email'),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      entries,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    console.error('Audit log error:', error);
+    res.status(500).json({ error: 'Failed to get audit log.' });
+  }
+});
+
+/**
+ * GET /api/admin/security-events
+ * Members' security events (logins, failed logins, password changes...)
+ * Filters: user, email, ip, type, outcome, from, to (ISO dates)
+ */
+router.get('/security-events', requirePermission('security:read'), securityEventFilterValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page, limit, skip } = getPagination(req);
+    const { user, email, ip, type, outcome, from, to } = req.query;
+
+    const filter = {};
+    if (user && isValidId(user)) filter.user = user;
+    if (email) filter.email = String(email).toLowerCase().trim();
+    if (ip) filter.ip = ip;
+    if (type) filter.type = type;
+    if (outcome) filter.outcome = outcome;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from && !isNaN(Date.parse(from))) filter.createdAt.$gte = new Date(from);
+      if (to && !isNaN(Date.parse(to))) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [events, total] = await Promise.all([
+      SecurityEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('user', 'name email'),
+      SecurityEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      events,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    console.error('Security events error:', error);
+    res.status(500).json({ error: 'Failed to get security events.' });
+  }
+});
+
+module.exports = router;
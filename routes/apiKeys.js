@@ -0,0 +1,156 @@
+/**
+ * API Key Routes
+ * Personal API keys for scripts and partner integrations.
+ * Managing keys needs a signed-in session; an API key cannot create
+ * or revoke keys.
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { authenticate, blockWhileImpersonating } = require('../middleware/auth');
+const { API_SCOPES, SCOPE_NAMES } = require('../config/apiScopes');
+const { recordSecurityEvent } = require('../services/securityEvents');
+
+const router = express.Router();
+
+// Impersonation tokens cannot reach the blocked actions here (config/impersonation.js)
+router.use(blockWhileImpersonating);
+
+const MAX_KEYS_PER_USER = parseInt(process.env.API_KEYS_PER_USER) || 10;
+const MAX_EXPIRY_DAYS = 365;
+
+// ===================
+// VALIDATION RULES
+// ===================
+
+const createValidation = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Key name is required')
+    .isLength({ max: 100 }).withMessage('Key name cannot exceed 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 }).withMessage('Select at least one scope'),
+  body('scopes.*')
+    .isIn(SCOPE_NAMES).withMessage('Invalid scope'),
+  body('expiresInDays')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: MAX_EXPIRY_DAYS }).withMessage(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`)
+];
+
+// ===================
+// ROUTES
+// ===================
+
+/**
+ * GET /api/auth/api-keys/scopes
+ * List the scopes a key can be given
+ */
+router.get('/scopes', authenticate, (req, res) => {
+  res.json({
+    scopes: Object.entries(API_SCOPES).map(([name, description]) => ({ name, description }))
+  });
+});
+
+/**
+ * GET /api/auth/api-keys
+ * List the current user's keys (revoked keys included)
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ user: req.userId })
+      .sort({ createdAt: -1 });
+
+    res.json({ apiKeys: keys.map(k => k.toPublicKey()) });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ error: 'Failed to get API keys.' });
+  }
+});
+
+/**
+ * POST /api/auth/api-keys
+ * Create a key. The full key is only returned in this response.
+ */
+router.post('/', authenticate, createValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const activeCount = await ApiKey.countDocuments({
+      user: req.userId,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+
+    if (activeCount >= MAX_KEYS_PER_USER) {
+      return res.status(400).json({
+        error: `You can have at most ${MAX_KEYS_PER_USER} active API keys. Revoke one first.`
+      });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+
+    const { apiKey, key } = await ApiKey.generate({
+      user: req.userId,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : null
+    });
+
+    await recordSecurityEvent(req, {
+      type: 'api_key_created',
+      details: { apiKey: apiKey._id, name: apiKey.name, scopes: apiKey.scopes }
+    });
+
+    res.status(201).json({
+      message: 'API key created. Copy it now - it will not be shown again.',
+      key,
+      apiKey: apiKey.toPublicKey()
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key.' });
+  }
+});
+
+/**
+ * DELETE /api/auth/api-keys/:id
+ * Revoke a key
+ */
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.id,
+      user: req.userId
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found.' });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+
+      await recordSecurityEvent(req, {
+        type: 'api_key_revoked',
+        details: { apiKey: apiKey._id, name: apiKey.name }
+      });
+    }
+
+    res.json({ message: 'API key revoked.' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'API key not found.' });
+    }
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key.' });
+  }
+});
+
+module.exports = router;
@@ -4,12 +4,66 @@
  */
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { authenticate, generateToken, generateRefreshToken } = require('../middleware/auth');
+const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
+const { authenticate, requireScope, generateChallengeToken, verifyToken, blockWhileImpersonating } = require('../middleware/auth');
+const { sendMail, frontendUrl } = require('../services/mail');
+const { verifySecondFactor } = require('../services/totp');
+const {
+  loginTargets,
+  passwordResetTargets,
+  magicLinkTargets,
+  magicLinkVerifyTargets,
+  checkAttempts,
+  recordFailure,
+  clearAttempts
+} = require('../services/loginThrottle');
+const { cancelDeletion } = require('../services/accountData');
+const { recordSecurityEvent } = require('../services/securityEvents');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/sessions');
 
 const router = express.Router();
 
+// Impersonation tokens cannot reach the blocked actions here (config/impersonation.js)
+router.use(blockWhileImpersonating);
+
+// ===================
+// HELPERS
+// ===================
+
+/**
+ * Create a fresh verification token and email it to the user
+ */
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+  
+  await sendMail('verifyEmail', user.email, {
+    name: user.name,
+    url: frontendUrl('/verify-email', { token: verificationToken })
+  });
+};
+
+/**
+ * Reply 429 when the login throttle refuses an attempt
+ */
+const sendTooManyAttempts = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(429).json({
+    error: throttle.locked
+      ? 'Too many failed attempts. Access is temporarily locked.'
+      : 'Too many failed attempts. Please wait before trying again.',
+    retryAfter: throttle.retryAfter
+  });
+};
+
 // ===================
 // VALIDATION RULES
 // ===================
@@ -40,6 +94,15 @@ const loginValidation = [
     .notEmpty().withMessage('Password is required')
 ];
 
+const securityLogValidation = [
+  query('type')
+    .optional()
+    .isIn(SecurityEvent.EVENT_TYPES).withMessage('Invalid event type'),
+  query('outcome')
+    .optional()
+    .isIn(['success', 'failure']).withMessage('Outcome must be success or failure')
+];
+
 // ===================
 // ROUTES
 // ===================
@@ -76,19 +139,33 @@ router.post('/register', registerValidation, async (req, res) => {
     
     await user.save();
     
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Start a session and generate tokens
+    const { session, token, refreshToken } = await createSession(user, req);
     
     // Update last login
     user.lastLogin = new Date();
     await user.save();
     
+    await recordSecurityEvent(req, {
+      type: 'login',
+      user,
+      session: session._id,
+      details: { registration: true }
+    });
+    
+    // Registration still succeeds if the email can't be sent;
+    // the user can ask for a new one later
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+    
     res.status(201).json({
       message: 'Registration successful',
       token,
       refreshToken,
-      user: user.toPublicProfile()
+      user: user.toSelfProfile()
     });
     
   } catch (error) {
@@ -115,17 +192,29 @@ router.post('/login', loginValidation, async (req, res) => {
     
     const { email, password } = req.body;
     
+    // Refuse early while this account or IP is cooling down
+    const throttleTargets = loginTargets(email, req.ip);
+    const throttle = await checkAttempts(throttleTargets);
+    if (!throttle.allowed) {
+      await recordSecurityEvent(req, { type: 'login', outcome: 'failure', reason: 'throttled', user: null, email });
+      return sendTooManyAttempts(res, throttle);
+    }
+    
     // Find user and include password for comparison
     const user = await User.findOne({ email }).select('+password');
     
     if (!user) {
+      await recordFailure(throttleTargets);
+      await recordSecurityEvent(req, { type: 'login', outcome: 'failure', reason: 'unknown_email', user: null, email });
       return res.status(401).json({ 
         error: 'Invalid email or password' 
       });
     }
     
-    // Check if account is active
-    if (!user.isActive) {
+    // Check if account is active (accounts waiting to be deleted
+    // can still sign in, which cancels the deletion)
+    if (!user.isActive && !user.isPendingDeletion) {
+      await recordSecurityEvent(req, { type: 'login', outcome: 'failure', reason: 'deactivated', user });
       return res.status(401).json({ 
         error: 'Account is deactivated. Please contact support.' 
       });
@@ -134,24 +223,52 @@ router.post('/login', loginValidation, async (req, res) => {
     // Verify password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordFailure(throttleTargets);
+      await recordSecurityEvent(req, { type: 'login', outcome: 'failure', reason: 'invalid_password', user });
       return res.status(401).json({ 
         error: 'Invalid email or password' 
       });
     }
     
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // With 2FA on, the password only earns a challenge token;
+    // tokens are issued by POST /api/auth/login/2fa
+    if (user.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+    
+    await clearAttempts(throttleTargets);
+    
+    // Signing in during the deletion grace period restores the account
+    const accountRestored = user.isPendingDeletion;
+    if (accountRestored) {
+      await cancelDeletion(user);
+    }
+    
+    // Start a session and generate tokens
+    const { session, token, refreshToken } = await createSession(user, req);
     
     // Update last login
     user.lastLogin = new Date();
     await user.save();
     
+    await recordSecurityEvent(req, {
+      type: 'login',
+      user,
+      session: session._id,
+      details: { accountRestored }
+    });
+    
     res.json({
       message: 'Login successful',
       token,
       refreshToken,
-      user: user.toPublicProfile()
+      user: user.toSelfProfile(),
+      twoFactorSetupRequired: await user.requiresTwoFactor(),
+      accountRestored
     });
     
   } catch (error) {
@@ -164,19 +281,286 @@ router.post('/login', loginValidation, async (req, res) => {
   
 });
 
+/**
+ * POST /api/auth/login/2fa
+ * Second login step: exchange the challenge token and a TOTP
+ * or recovery code for tokens
+ */
+router.post('/login/2fa',
+  [
+    body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+    body('code')
+      .optional()
+      .trim()
+      .matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+    body('recoveryCode')
+      .optional()
+      .trim()
+      .notEmpty().withMessage('Recovery code cannot be empty')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const { challengeToken, code, recoveryCode } = req.body;
+      
+      if (!code && !recoveryCode) {
+        return res.status(400).json({ error: 'A code or recovery code is required' });
+      }
+      
+      let decoded;
+      try {
+        decoded = verifyToken(challengeToken);
+      } catch (tokenError) {
+        return res.status(401).json({ error: 'Login challenge expired. Please sign in again.' });
+      }
+      
+      if (decoded.type !== '2fa_challenge') {
+        return res.status(401).json({ error: 'Invalid challenge token' });
+      }
+      
+      const user = await User.findById(decoded.userId)
+        .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+      
+      if (!user || (!user.isActive && !user.isPendingDeletion) || !user.twoFactor.enabled) {
+        return res.status(401).json({ error: 'Invalid challenge token' });
+      }
+      
+      // Wrong codes count against the same account/IP counters as passwords
+      const throttleTargets = loginTargets(user.email, req.ip);
+      const throttle = await checkAttempts(throttleTargets);
+      if (!throttle.allowed) {
+        await recordSecurityEvent(req, { type: 'login_2fa', outcome: 'failure', reason: 'throttled', user });
+        return sendTooManyAttempts(res, throttle);
+      }
+      
+      if (!verifySecondFactor(user, { code, recoveryCode })) {
+        await recordFailure(throttleTargets);
+        await recordSecurityEvent(req, { type: 'login_2fa', outcome: 'failure', reason: 'invalid_code', user });
+        return res.status(401).json({ error: 'Invalid authentication code' });
+      }
+      
+      await clearAttempts(throttleTargets);
+      
+      const accountRestored = user.isPendingDeletion;
+      if (accountRestored) {
+        await cancelDeletion(user);
+      }
+      
+      const { session, token, refreshToken } = await createSession(user, req);
+      
+      user.lastLogin = new Date();
+      await user.save();
+      
+      await recordSecurityEvent(req, {
+        type: 'login_2fa',
+        user,
+        session: session._id,
+        details: { method: recoveryCode ? 'recovery_code' : 'totp', accountRestored }
+      });
+      
+      const recoveryCodesRemaining = user.twoFactor.recoveryCodes
+        .filter(c => !c.usedAt).length;
+      
+      res.json({
+        message: 'Login successful',
+        token,
+        refreshToken,
+        user: user.toSelfProfile(),
+        recoveryCodesRemaining,
+        accountRestored
+      });
+      
+    } catch (error) {
+      console.error('2FA login error:', error);
+      res.status(500).json({ error: 'Login failed. Please try again.' });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/magic-link
+ * Email a single-use sign-in link (passwordless login)
+ */
+router.post('/magic-link',
+  body('email')
+    .trim()
+    .isEmail().withMessage('Please enter a valid email')
+    .normalizeEmail(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const { email } = req.body;
+      
+      // Every request counts, so the limit is the same for unknown emails
+      const throttleTargets = magicLinkTargets(email, req.ip);
+      const throttle = await checkAttempts(throttleTargets);
+      if (!throttle.allowed) {
+        await recordSecurityEvent(req, { type: 'magic_link_requested', outcome: 'failure', reason: 'throttled', user: null, email });
+        res.set('Retry-After', String(throttle.retryAfter));
+        return res.status(429).json({
+          error: 'Too many sign-in links requested. Please wait before trying again.',
+          retryAfter: throttle.retryAfter
+        });
+      }
+      await recordFailure(throttleTargets);
+      
+      const user = await User.findOne({ email });
+      
+      // Don't reveal if user exists
+      if (user && (user.isActive || user.isPendingDeletion)) {
+        const magicToken = user.createMagicLinkToken();
+        await user.save();
+        
+        // A mail failure must look the same as an unknown address
+        try {
+          await sendMail('magicLink', user.email, {
+            name: user.name,
+            url: frontendUrl('/magic-link', { token: magicToken })
+          });
+        } catch (mailError) {
+          console.error('Magic link email error:', mailError);
+        }
+        
+        await recordSecurityEvent(req, { type: 'magic_link_requested', user });
+      }
+      
+      res.json({ 
+        message: 'If an account exists, a sign-in link has been sent.' 
+      });
+      
+    } catch (error) {
+      console.error('Magic link error:', error);
+      res.status(500).json({ error: 'Failed to process request.' });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/magic-link/verify
+ * Exchange a sign-in link token for tokens. The link works once.
+ */
+router.post('/magic-link/verify',
+  body('token').notEmpty().withMessage('Sign-in token is required'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const throttleTargets = magicLinkVerifyTargets(req.ip);
+      const throttle = await checkAttempts(throttleTargets);
+      if (!throttle.allowed) {
+        return sendTooManyAttempts(res, throttle);
+      }
+      
+      const crypto = require('crypto');
+      const hashedToken = crypto
+        .createHash('sha256')
+        .update(req.body.token)
+        .digest('hex');
+      
+      // Clear the token in the same step so a link can't be used twice
+      const user = await User.findOneAndUpdate(
+        {
+          magicLinkToken: hashedToken,
+          magicLinkExpires: { $gt: Date.now() }
+        },
+        { $unset: { magicLinkToken: '', magicLinkExpires: '' } },
+        { new: true }
+      );
+      
+      if (!user) {
+        await recordFailure(throttleTargets);
+        await recordSecurityEvent(req, { type: 'magic_link_login', outcome: 'failure', reason: 'invalid_token', user: null });
+        return res.status(400).json({ 
+          error: 'Invalid or expired sign-in link' 
+        });
+      }
+      
+      if (!user.isActive && !user.isPendingDeletion) {
+        await recordSecurityEvent(req, { type: 'magic_link_login', outcome: 'failure', reason: 'deactivated', user });
+        return res.status(401).json({ 
+          error: 'Account is deactivated. Please contact support.' 
+        });
+      }
+      
+      // Opening the link proves the address belongs to the user
+      if (!user.isEmailVerified) {
+        user.isEmailVerified = true;
+        user.emailVerifiedAt = new Date();
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpires = undefined;
+      }
+      
+      // The link replaces the password step only
+      if (user.twoFactor.enabled) {
+        await user.save();
+        return res.json({
+          message: 'Two-factor authentication required',
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user._id)
+        });
+      }
+      
+      const accountRestored = user.isPendingDeletion;
+      if (accountRestored) {
+        await cancelDeletion(user);
+      }
+      
+      const { session, token, refreshToken } = await createSession(user, req);
+      
+      user.lastLogin = new Date();
+      await user.save();
+      
+      await recordSecurityEvent(req, {
+        type: 'magic_link_login',
+        user,
+        session: session._id,
+        details: { accountRestored }
+      });
+      
+      res.json({
+        message: 'Login successful',
+        token,
+        refreshToken,
+        user: user.toSelfProfile(),
+        twoFactorSetupRequired: await user.requiresTwoFactor(),
+        accountRestored
+      });
+      
+    } catch (error) {
+      console.error('Magic link verify error:', error);
+      res.status(500).json({ error: 'Login failed. Please try again.' });
+    }
+  }
+);
 
 /**
  * GET /api/auth/me
  * Get current user profile
  */
-router.get('/me', authenticate, async (req, res) => {
+router.get('/me', requireScope('profile:read'), async (req, res) => {
   try {
     const user = await User.findById(req.userId)
-      .populate('followers', 'name avatar')
-      .populate('following', 'name avatar')
       .populate('groups', 'name avatar memberCount');
     
-    res.json({ user: user.toPublicProfile() });
+    const response = { user: user.toSelfProfile() };
+    
+    // Lets the frontend show who is acting as the member
+    if (req.impersonator) {
+      response.impersonatedBy = { id: req.impersonator._id, name: req.impersonator.name };
+    }
+    
+    res.json(response);
   } catch (error) {
     console.error('Get profile error:', error);
     res.status(500).json({ error: 'Failed to get profile.' });
@@ -185,7 +569,8 @@ router.get('/me', authenticate, async (req, res) => {
 
 /**
  * POST /api/auth/refresh
- * Refresh access token
+ * Exchange a refresh token for a new token pair.
+ * The old refresh token stops working immediately.
  */
 router.post('/refresh', async (req, res) => {
   try {
@@ -195,26 +580,211 @@ router.post('/refresh', async (req, res) => {
       return res.status(400).json({ error: 'Refresh token is required' });
     }
     
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+    const { session, user, token, refreshToken: newRefreshToken } = await rotateSession(refreshToken, req);
+    
+    await recordSecurityEvent(req, { type: 'token_refresh', user, session: session._id });
     
-    if (decoded.type !== 'refresh') {
-      return res.status(401).json({ error: 'Invalid refresh token' });
+    res.json({ token, refreshToken: newRefreshToken });
+    
+  } catch (error) {
+    if (error.status === 401) {
+      await recordSecurityEvent(req, {
+        type: 'token_refresh',
+        outcome: 'failure',
+        reason: error.reason || 'invalid_token',
+        user: error.userId || null,
+        session: error.sessionId || null
+      });
+      return res.status(401).json({ error: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh token.' });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Sign out the current session
+ */
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await revokeSession(req.sessionId, 'logout');
     }
     
-    const user = await User.findById(decoded.userId);
-    if (!user || !user.isActive) {
-      return res.status(401).json({ error: 'User not found or inactive' });
+    await recordSecurityEvent(req, { type: 'logout' });
+    
+    res.json({ message: 'Logged out successfully' });
+    
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out.' });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List the current user's signed-in devices
+ */
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+    
+    res.json({ 
+      sessions: sessions.map(s => s.toPublicSession(req.sessionId)) 
+    });
+    
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions.' });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign out one of the current user's devices
+ */
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.userId,
+      revokedAt: null
+    });
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
     }
     
-    // Generate new access token
-    const token = generateToken(user._id);
+    await revokeSession(session._id, 'signed_out');
+    
+    await recordSecurityEvent(req, {
+      type: 'session_revoked',
+      details: { revokedSession: session._id, userAgent: session.userAgent, ip: session.ip }
+    });
     
-    res.json({ token });
+    res.json({ message: 'Session signed out' });
     
   } catch (error) {
-    console.error('Refresh token error:', error);
-    res.status(401).json({ error: 'Invalid or expired refresh token' });
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to sign out session.' });
+  }
+});
+
+/**
+ * GET /api/auth/security-log
+ * The current user's sign-ins and security changes, newest first
+ * Filters: type, outcome
+ */
+router.get('/security-log', authenticate, securityLogValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    
+    const filter = { user: req.userId };
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.outcome) filter.outcome = req.query.outcome;
+    
+    const [events, total] = await Promise.all([
+      SecurityEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SecurityEvent.countDocuments(filter)
+    ]);
+    
+    res.json({
+      events: events.map(e => e.toPublicEvent()),
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      retentionDays: SecurityEvent.RETENTION_DAYS
+    });
+    
+  } catch (error) {
+    console.error('Security log error:', error);
+    res.status(500).json({ error: 'Failed to get security log.' });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm email address with the token from the verification email
+ */
+router.post('/verify-email',
+  body('token').notEmpty().withMessage('Verification token is required'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const crypto = require('crypto');
+      const hashedToken = crypto
+        .createHash('sha256')
+        .update(req.body.token)
+        .digest('hex');
+      
+      const user = await User.findOne({
+        emailVerificationToken: hashedToken,
+        emailVerificationExpires: { $gt: Date.now() }
+      });
+      
+      if (!user) {
+        return res.status(400).json({ 
+          error: 'Invalid or expired verification token' 
+        });
+      }
+      
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpires = undefined;
+      await user.save();
+      
+      await recordSecurityEvent(req, { type: 'email_verified', user });
+      
+      res.json({ 
+        message: 'Email verified successfully',
+        user: user.toSelfProfile()
+      });
+      
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(500).json({ error: 'Failed to verify email.' });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a new verification email to the current user
+ */
+router.post('/resend-verification', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    
+    if (user.isEmailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+    
+    await sendVerificationEmail(user);
+    
+    res.json({ message: 'Verification email sent' });
+    
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email.' });
   }
 });
 
@@ -245,11 +815,17 @@ router.post('/forgot-password',
       const resetToken = user.createPasswordResetToken();
       await user.save();
       
-      // TODO: Send email with reset link
-      // For now, just return success
-      // In production, use SendGrid, Mailgun, etc.
+      // A mail failure must look the same as an unknown address
+      try {
+        await sendMail('passwordReset', user.email, {
+          name: user.name,
+          url: frontendUrl('/reset-password', { token: resetToken })
+        });
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+      }
       
-      console.log('Password reset token:', resetToken); // Remove in production
+      await recordSecurityEvent(req, { type: 'password_reset_requested', user });
       
       res.json({ 
         message: 'If an account exists, a password reset email has been sent.' 
@@ -282,6 +858,12 @@ router.post('/reset-password',
       
       const { token, password } = req.body;
       
+      const throttleTargets = passwordResetTargets(req.ip);
+      const throttle = await checkAttempts(throttleTargets);
+      if (!throttle.allowed) {
+        return sendTooManyAttempts(res, throttle);
+      }
+      
       // Hash the token to compare with stored hash
       const crypto = require('crypto');
       const hashedToken = crypto
@@ -296,6 +878,8 @@ router.post('/reset-password',
       });
       
       if (!user) {
+        await recordFailure(throttleTargets);
+        await recordSecurityEvent(req, { type: 'password_reset', outcome: 'failure', reason: 'invalid_token', user: null });
         return res.status(400).json({ 
           error: 'Invalid or expired reset token' 
         });
@@ -307,12 +891,28 @@ router.post('/reset-password',
       user.passwordResetExpires = undefined;
       await user.save();
       
-      // Generate new tokens
-      const authToken = generateToken(user._id);
+      // Sign out everywhere, then start a fresh session
+      await revokeAllSessions(user._id, 'password_reset');
+      
+      // The reset link only proves access to the mailbox; with 2FA on,
+      // tokens are issued by POST /api/auth/login/2fa
+      if (user.twoFactor.enabled) {
+        await recordSecurityEvent(req, { type: 'password_reset', user });
+        return res.json({
+          message: 'Password reset successful. Two-factor authentication required',
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user._id)
+        });
+      }
+      
+      const { session, token: authToken, refreshToken } = await createSession(user, req);
+      
+      await recordSecurityEvent(req, { type: 'password_reset', user, session: session._id });
       
       res.json({ 
         message: 'Password reset successful',
-        token: authToken
+        token: authToken,
+        refreshToken
       });
       
     } catch (error) {
@@ -349,6 +949,7 @@ router.post('/change-password',
       // Verify current password
       const isMatch = await user.comparePassword(currentPassword);
       if (!isMatch) {
+        await recordSecurityEvent(req, { type: 'password_change', outcome: 'failure', reason: 'invalid_password', user });
         return res.status(401).json({ error: 'Current password is incorrect' });
       }
       
@@ -356,7 +957,18 @@ router.post('/change-password',
       user.password = newPassword;
       await user.save();
       
-      res.json({ message: 'Password changed successfully' });
+      // Sign out every device, including this one, and hand back
+      // a new session so the caller stays signed in
+      await revokeAllSessions(user._id, 'password_change');
+      const { session, token, refreshToken } = await createSession(user, req);
+      
+      await recordSecurityEvent(req, { type: 'password_change', user, session: session._id });
+      
+      res.json({ 
+        message: 'Password changed successfully',
+        token,
+        refreshToken
+      });
       
     } catch (error) {
       console.error('Change password error:', error);
@@ -365,4 +977,248 @@ router.post('/change-password',
   }
 );
 
+/**
+ * POST /api/auth/change-email
+ * Start an email change. Nothing changes until the new address is
+ * confirmed; the old address gets a link to cancel.
+ */
+router.post('/change-email',
+  authenticate,
+  [
+    body('newEmail')
+      .trim()
+      .isEmail().withMessage('Please enter a valid email')
+      .normalizeEmail(),
+    body('password').notEmpty().withMessage('Password is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const { newEmail, password } = req.body;
+      const user = await User.findById(req.userId).select('+password');
+      
+      if (!user.password) {
+        return res.status(400).json({ 
+          error: 'Set a password (via "Forgot password") before changing your email.' 
+        });
+      }
+      
+      // Wrong passwords count like failed logins
+      const throttleTargets = loginTargets(user.email, req.ip);
+      const throttle = await checkAttempts(throttleTargets);
+      if (!throttle.allowed) {
+        return sendTooManyAttempts(res, throttle);
+      }
+      
+      const isMatch = await user.comparePassword(password);
+      if (!isMatch) {
+        await recordFailure(throttleTargets);
+        await recordSecurityEvent(req, { type: 'email_change_requested', outcome: 'failure', reason: 'invalid_password', user });
+        return res.status(401).json({ error: 'Password is incorrect' });
+      }
+      
+      if (newEmail === user.email) {
+        return res.status(400).json({ error: 'This is already your email address' });
+      }
+      
+      if (await User.exists({ email: newEmail })) {
+        return res.status(400).json({ error: 'An account with this email already exists' });
+      }
+      
+      const oldEmail = user.email;
+      const { confirmToken, cancelToken } = user.createEmailChangeTokens(newEmail);
+      await user.save();
+      
+      await sendMail('emailChangeConfirm', newEmail, {
+        name: user.name,
+        newEmail,
+        url: frontendUrl('/confirm-email-change', { token: confirmToken })
+      });
+      
+      try {
+        await sendMail('emailChangeRequested', oldEmail, {
+          name: user.name,
+          newEmail,
+          cancelUrl: frontendUrl('/cancel-email-change', { token: cancelToken })
+        });
+      } catch (mailError) {
+        console.error('Email change notice error:', mailError);
+      }
+      
+      await recordSecurityEvent(req, {
+        type: 'email_change_requested',
+        user,
+        details: { from: oldEmail, to: newEmail }
+      });
+      
+      res.json({ 
+        message: `We sent a confirmation link to ${newEmail}. Your email changes once you open it.`,
+        pendingEmail: newEmail
+      });
+      
+    } catch (error) {
+      console.error('Change email error:', error);
+      res.status(500).json({ error: 'Failed to change email.' });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/change-email/confirm
+ * Confirm the new address (token from the email sent to it).
+ * Every session is signed out; sign in again with the new address.
+ */
+router.post('/change-email/confirm',
+  body('token').notEmpty().withMessage('Confirmation token is required'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const throttleTargets = passwordResetTargets(req.ip);
+      const throttle = await checkAttempts(throttleTargets);
+      if (!throttle.allowed) {
+        return sendTooManyAttempts(res, throttle);
+      }
+      
+      const crypto = require('crypto');
+      const hashedToken = crypto
+        .createHash('sha256')
+        .update(req.body.token)
+        .digest('hex');
+      
+      const user = await User.findOne({
+        emailChangeToken: hashedToken,
+        emailChangeExpires: { $gt: Date.now() }
+      });
+      
+      if (!user || !user.pendingEmail) {
+        await recordFailure(throttleTargets);
+        return res.status(400).json({ 
+          error: 'Invalid or expired confirmation link' 
+        });
+      }
+      
+      const oldEmail = user.email;
+      const newEmail = user.pendingEmail;
+      
+      // The address may have been taken since the change was requested
+      if (await User.exists({ email: newEmail, _id: { $ne: user._id } })) {
+        user.clearEmailChange();
+        await user.save();
+        await recordSecurityEvent(req, { type: 'email_change', outcome: 'failure', reason: 'email_taken', user });
+        return res.status(409).json({ 
+          error: 'An account with this email already exists' 
+        });
+      }
+      
+      user.email = newEmail;
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpires = undefined;
+      user.clearEmailChange();
+      
+      try {
+        await user.save();
+      } catch (saveError) {
+        if (saveError.code === 11000) {
+          return res.status(409).json({ error: 'An account with this email already exists' });
+        }
+        throw saveError;
+      }
+      
+      await revokeAllSessions(user._id, 'email_change');
+      
+      await recordSecurityEvent(req, {
+        type: 'email_change',
+        user,
+        details: { from: oldEmail, to: newEmail }
+      });
+      
+      try {
+        await sendMail('emailChanged', oldEmail, { name: user.name, newEmail });
+      } catch (mailError) {
+        console.error('Email changed notice error:', mailError);
+      }
+      
+      res.json({ 
+        message: 'Email address changed. Please sign in again with your new address.',
+        email: newEmail
+      });
+      
+    } catch (error) {
+      console.error('Confirm email change error:', error);
+      res.status(500).json({ error: 'Failed to change email.' });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/change-email/cancel
+ * Cancel a pending change (token from the email sent to the old
+ * address). Also signs out every session in case the account
+ * was taken over.
+ */
+router.post('/change-email/cancel',
+  body('token').notEmpty().withMessage('Cancel token is required'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const throttleTargets = passwordResetTargets(req.ip);
+      const throttle = await checkAttempts(throttleTargets);
+      if (!throttle.allowed) {
+        return sendTooManyAttempts(res, throttle);
+      }
+      
+      const crypto = require('crypto');
+      const hashedToken = crypto
+        .createHash('sha256')
+        .update(req.body.token)
+        .digest('hex');
+      
+      const user = await User.findOne({ emailChangeCancelToken: hashedToken });
+      
+      if (!user || !user.pendingEmail) {
+        await recordFailure(throttleTargets);
+        return res.status(400).json({ 
+          error: 'Invalid link, or the change was already confirmed or cancelled' 
+        });
+      }
+      
+      const cancelledEmail = user.pendingEmail;
+      user.clearEmailChange();
+      await user.save();
+      
+      await revokeAllSessions(user._id, 'signed_out');
+      
+      await recordSecurityEvent(req, {
+        type: 'email_change',
+        outcome: 'failure',
+        reason: 'cancelled',
+        user,
+        details: { to: cancelledEmail }
+      });
+      
+      res.json({ 
+        message: 'Email change cancelled and all devices signed out. If you didn\'t request it, reset your password.' 
+      });
+      
+    } catch (error) {
+      console.error('Cancel email change error:', error);
+      res.status(500).json({ error: 'Failed to cancel email change.' });
+    }
+  }
+);
+
 module.exports = router;
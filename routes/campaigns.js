@@ -6,7 +6,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Campaign = require('../models/Campaign');
-const { authenticate, optionalAuth } = require('../middleware/auth');
+const {
+  authenticate,
+  optionalAuth,
+  requireScope,
+  requireVerifiedEmail,
+  requireTwoFactorForPayouts
+} = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -98,7 +104,7 @@ router.get('/search', async (req, res) => {
  * GET /api/campaigns/my-campaigns
  * Get campaigns created by the current user
  */
-router.get('/my-campaigns', authenticate, async (req, res) => {
+router.get('/my-campaigns', requireScope('campaigns:read'), async (req, res) => {
   try {
     const campaigns = await Campaign.find({ organizer: req.userId })
       .sort({ createdAt: -1 });
@@ -138,6 +144,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
  */
 router.post('/',
   authenticate,
+  requireVerifiedEmail,
   [
     body('title').trim().notEmpty().isLength({ min: 10, max: 200 }),
     body('description').trim().notEmpty().isLength({ min: 100, max: 10000 }),
@@ -200,7 +207,7 @@ router.post('/',
  * PUT /api/campaigns/:id
  * Update campaign
  */
-router.put('/:id', authenticate, async (req, res) => {
+router.put('/:id', authenticate, requireTwoFactorForPayouts, async (req, res) => {
   try {
     const campaign = await Campaign.findById(req.params.id);
     
@@ -238,6 +245,7 @@ router.put('/:id', authenticate, async (req, res) => {
  */
 router.post('/:id/updates',
   authenticate,
+  requireTwoFactorForPayouts,
   [
     body('title').trim().notEmpty(),
     body('content').trim().notEmpty()
@@ -345,4 +353,107 @@ router.get('/:id/donations', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/campaigns/:id/stats
+ * Funding stats for the organizer (daily totals for the last ?days=, max 365)
+ */
+router.get('/:id/stats', requireScope('campaigns:read'), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const campaign = await Campaign.findById(req.params.id);
+    
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    
+    if (campaign.organizer.toString() !== req.userId.toString()) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+    
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const daily = {};
+    let pending = 0;
+    let refunded = 0;
+    
+    campaign.donations.forEach(d => {
+      if (d.status === 'pending') pending += d.amount;
+      if (d.status === 'refunded') refunded += d.amount;
+      if (d.status !== 'completed' || d.createdAt < since) return;
+      
+      const day = d.createdAt.toISOString().slice(0, 10);
+      daily[day] = daily[day] || { date: day, amount: 0, donations: 0 };
+      daily[day].amount += d.amount;
+      daily[day].donations += 1;
+    });
+    
+    res.json({
+      stats: {
+        goal: campaign.goal,
+        raised: campaign.raised,
+        percentFunded: campaign.percentFunded,
+        donorCount: campaign.donorCount,
+        followerCount: campaign.followers.length,
+        pendingAmount: pending,
+        refundedAmount: refunded,
+        daysLeft: campaign.daysLeft,
+        status: campaign.status,
+        daily: Object.values(daily).sort((a, b) => a.date.localeCompare(b.date))
+      }
+    });
+  } catch (error) {
+    console.error('Campaign stats error:', error);
+    res.status(500).json({ error: 'Failed to get campaign stats.' });
+  }
+});
+
+/**
+ * GET /api/campaigns/:id/ledger
+ * Every donation (all statuses) for the organizer's bookkeeping.
+ * Donors appear by name only; anonymous donors stay anonymous here too.
+ */
+router.get('/:id/ledger', requireScope('donations:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    
+    const campaign = await Campaign.findById(req.params.id)
+      .populate('donations.donor', 'name');
+    
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    
+    if (campaign.organizer.toString() !== req.userId.toString()) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+    
+    let donations = campaign.donations;
+    if (req.query.status) {
+      donations = donations.filter(d => d.status === req.query.status);
+    }
+    donations = donations.slice().sort((a, b) => b.createdAt - a.createdAt);
+    
+    const start = (page - 1) * limit;
+    
+    res.json({
+      donations: donations.slice(start, start + limit).map(d => ({
+        id: d._id,
+        donor: d.isAnonymous || !d.donor ? null : { id: d.donor._id, name: d.donor.name },
+        amount: d.amount,
+        message: d.message,
+        isAnonymous: d.isAnonymous,
+        status: d.status,
+        paymentIntentId: d.stripePaymentIntentId,
+        createdAt: d.createdAt
+      })),
+      total: donations.length,
+      page,
+      pages: Math.ceil(donations.length / limit)
+    });
+  } catch (error) {
+    console.error('Campaign ledger error:', error);
+    res.status(500).json({ error: 'Failed to get donations.' });
+  }
+});
+
 module.exports = router;
@@ -8,7 +8,9 @@ const { body, validationResult } = require('express-validator');
 const Group = require('../models/Group');
 const Post = require('../models/Post');
 const User = require('../models/User');
-const { authenticate, optionalAuth } = require('../middleware/auth');
+const { authenticate, optionalAuth, requireScope, requireVerifiedEmail } = require('../middleware/auth');
+const { checkBadges } = require('../services/badges');
+const { toFeedItems } = require('../services/feed');
 
 const router = express.Router();
 
@@ -90,17 +92,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
     const groupData = group.toPublicGroup(req.userId);
     const response = {
       ...groupData,
-      recentPosts: recentPosts.map(p => {
-        if (p.toFeedItem) {
-          return p.toFeedItem(req.userId);
-        }
-        return {
-          id: p._id,
-          content: p.content,
-          author: p.author,
-          createdAt: p.createdAt
-        };
-      })
+      recentPosts: await toFeedItems(recentPosts, req.userId)
     };
     
     res.json({ group: response });
@@ -116,6 +108,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
  */
 router.post('/',
   authenticate,
+  requireVerifiedEmail,
   [
     body('name').trim().notEmpty().isLength({ min: 3, max: 100 }),
     body('description').trim().notEmpty().isLength({ max: 2000 })
@@ -206,6 +199,7 @@ router.post('/:id/join', authenticate, async (req, res) => {
     
     await group.addMember(req.userId);
     await User.findByIdAndUpdate(req.userId, { $addToSet: { groups: group._id } });
+    await checkBadges(group.creator, ['groups']);
     
     res.json({ message: 'Joined group successfully' });
   } catch (error) {
@@ -275,14 +269,21 @@ router.get('/:id/posts', optionalAuth, async (req, res) => {
       return res.status(403).json({ error: 'Must be a member to view posts' });
     }
     
-    const posts = await Post.find({ group: req.params.id, isDeleted: false })
+    // Leave out authors the viewer blocked or muted (and who blocked them)
+    const hiddenIds = await User.getHiddenUserIds(req.userId);
+    
+    const posts = await Post.find({ 
+      group: req.params.id, 
+      author: { $nin: hiddenIds },
+      isDeleted: false 
+    })
       .sort({ isPinned: -1, createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .populate('author', 'name avatar role');
     
     res.json({
-      posts: posts.map(p => p.toFeedItem(req.userId)),
+      posts: await toFeedItems(posts, req.userId),
       page,
       hasMore: posts.length === limit
     });
@@ -296,7 +297,7 @@ router.get('/:id/posts', optionalAuth, async (req, res) => {
  * Create a post in a group
  */
 router.post('/:id/posts',
-  authenticate,
+  requireScope('posts:write'),
   body('content').trim().notEmpty().isLength({ max: 5000 }),
   async (req, res) => {
     try {
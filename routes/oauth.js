@@ -0,0 +1,282 @@
+/**
+ * Social Login Routes (OpenID Connect)
+ * Sign in / sign up with Google, Microsoft or LinkedIn, and link or
+ * unlink those accounts from an existing profile
+ */
+
+const express = require('express');
+const User = require('../models/User');
+const { authenticate, generateChallengeToken, blockWhileImpersonating } = require('../middleware/auth');
+const { getProvider, getEnabledProviders } = require('../config/oidcProviders');
+const { sendMail, frontendUrl } = require('../services/mail');
+const { cancelDeletion } = require('../services/accountData');
+const { createSession } = require('../services/sessions');
+const { recordSecurityEvent } = require('../services/securityEvents');
+const {
+  beginAuthorization,
+  consumeState,
+  completeAuthorization,
+  linkIdentity,
+  findOrCreateUser
+} = require('../services/oidc');
+
+const router = express.Router();
+
+// Impersonation tokens cannot reach the blocked actions here (config/impersonation.js)
+router.use(blockWhileImpersonating);
+
+// ===================
+// HELPERS
+// ===================
+
+/**
+ * Send the browser back to the frontend. Results go in the URL
+ * fragment so tokens never reach server logs.
+ */
+const redirectToFrontend = (res, redirectTo, params) => {
+  const url = new URL(frontendUrl('/auth/callback'));
+  url.hash = new URLSearchParams({ ...params, redirect: redirectTo || '/' }).toString();
+  res.redirect(url.toString());
+};
+
+const notifyIdentityLinked = (user, providerId) => {
+  const provider = getProvider(providerId);
+
+  sendMail('identityLinked', user.email, {
+    name: user.name,
+    providerName: provider ? provider.name : providerId
+  }).catch(error => console.error('Identity linked email error:', error));
+};
+
+// ===================
+// ROUTES
+// ===================
+
+/**
+ * GET /api/auth/oidc/providers
+ * Providers configured on this server
+ */
+router.get('/providers', (req, res) => {
+  res.json({
+    providers: getEnabledProviders().map(p => ({
+      id: p.id,
+      name: p.name,
+      loginUrl: `/api/auth/oidc/${p.id}/start`
+    }))
+  });
+});
+
+/**
+ * GET /api/auth/oidc/identities
+ * Sign-in methods linked to the current user
+ */
+router.get('/identities', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('+password');
+
+    res.json({
+      identities: user.identities.map(i => ({
+        provider: i.provider,
+        email: i.email,
+        linkedAt: i.linkedAt
+      })),
+      hasPassword: !!user.password
+    });
+  } catch (error) {
+    console.error('List identities error:', error);
+    res.status(500).json({ error: 'Failed to get linked accounts.' });
+  }
+});
+
+/**
+ * DELETE /api/auth/oidc/identities/:provider
+ * Unlink a provider. The last sign-in method cannot be removed.
+ */
+router.delete('/identities/:provider', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('+password');
+
+    if (!user.getIdentity(req.params.provider)) {
+      return res.status(404).json({ error: 'This provider is not linked to your account.' });
+    }
+
+    if (!user.password && user.identities.length === 1) {
+      return res.status(400).json({
+        error: 'This is your only way to sign in. Set a password (via "Forgot password") before unlinking it.'
+      });
+    }
+
+    user.identities = user.identities.filter(i => i.provider !== req.params.provider);
+    await user.save();
+
+    await recordSecurityEvent(req, {
+      type: 'identity_unlinked',
+      user,
+      details: { provider: req.params.provider }
+    });
+
+    res.json({ message: 'Account unlinked.' });
+  } catch (error) {
+    console.error('Unlink identity error:', error);
+    res.status(500).json({ error: 'Failed to unlink account.' });
+  }
+});
+
+/**
+ * GET /api/auth/oidc/:provider/start?redirect=/path
+ * Browser entry point: redirects to the provider's sign-in page
+ */
+router.get('/:provider/start', async (req, res) => {
+  try {
+    const authorizationUrl = await beginAuthorization(req.params.provider, {
+      redirectTo: req.query.redirect
+    });
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('OIDC start error:', error);
+    redirectToFrontend(res, '/', { error: 'Sign-in is unavailable right now. Please try again.' });
+  }
+});
+
+/**
+ * POST /api/auth/oidc/:provider/link
+ * Start linking a provider to the signed-in user.
+ * Returns the URL to send the browser to.
+ */
+router.post('/:provider/link', authenticate, async (req, res) => {
+  try {
+    const authorizationUrl = await beginAuthorization(req.params.provider, {
+      mode: 'link',
+      userId: req.userId,
+      redirectTo: req.body.redirect || '/settings'
+    });
+    res.json({ authorizationUrl });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('OIDC link error:', error);
+    res.status(500).json({ error: 'Failed to start linking.' });
+  }
+});
+
+/**
+ * GET /api/auth/oidc/:provider/callback
+ * The provider redirects here with ?code&state
+ */
+router.get('/:provider/callback', async (req, res) => {
+  let pending = null;
+
+  try {
+    pending = await consumeState(req.params.provider, req.query.state);
+    if (!pending) {
+      return redirectToFrontend(res, '/', { error: 'Sign-in request expired. Please try again.' });
+    }
+
+    if (req.query.error) {
+      return redirectToFrontend(res, pending.redirectTo, { error: 'Sign-in was cancelled.' });
+    }
+
+    const identity = await completeAuthorization(pending, req.query.code);
+
+    // Linking to an account that is already signed in
+    if (pending.mode === 'link') {
+      const user = await User.findById(pending.user);
+      if (!user || !user.isActive) {
+        return redirectToFrontend(res, pending.redirectTo, { error: 'Account not found.' });
+      }
+
+      const { linked } = await linkIdentity(user, identity);
+      if (linked) {
+        notifyIdentityLinked(user, identity.provider);
+        await recordSecurityEvent(req, {
+          type: 'identity_linked',
+          user,
+          details: { provider: identity.provider, email: identity.email }
+        });
+      }
+
+      return redirectToFrontend(res, pending.redirectTo, { linked: identity.provider });
+    }
+
+    const { user, created, linked } = await findOrCreateUser(identity);
+
+    if (!user.isActive && !user.isPendingDeletion) {
+      await recordSecurityEvent(req, {
+        type: 'oidc_login',
+        outcome: 'failure',
+        reason: 'deactivated',
+        user,
+        details: { provider: identity.provider }
+      });
+      return redirectToFrontend(res, pending.redirectTo, {
+        error: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    if (linked && !created) {
+      notifyIdentityLinked(user, identity.provider);
+      await recordSecurityEvent(req, {
+        type: 'identity_linked',
+        user,
+        details: { provider: identity.provider, email: identity.email, byEmail: true }
+      });
+    }
+
+    // 2FA still applies; finish with POST /api/auth/login/2fa
+    if (user.twoFactor.enabled) {
+      return redirectToFrontend(res, pending.redirectTo, {
+        twoFactorRequired: 'true',
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+
+    const accountRestored = user.isPendingDeletion;
+    if (accountRestored) {
+      await cancelDeletion(user);
+    }
+
+    const { session, token, refreshToken } = await createSession(user, req);
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    await recordSecurityEvent(req, {
+      type: 'oidc_login',
+      user,
+      session: session._id,
+      details: { provider: identity.provider, registration: created, accountRestored }
+    });
+
+    redirectToFrontend(res, pending.redirectTo, {
+      token,
+      refreshToken,
+      created: String(created),
+      accountRestored: String(accountRestored)
+    });
+
+  } catch (error) {
+    if (!error.status || error.status >= 500) {
+      console.error('OIDC callback error:', error);
+    }
+    if (pending) {
+      await recordSecurityEvent(req, {
+        type: pending.mode === 'link' ? 'identity_linked' : 'oidc_login',
+        outcome: 'failure',
+        reason: error.message.slice(0, 200),
+        user: pending.user,
+        details: { provider: pending.provider }
+      });
+    }
+    redirectToFrontend(res, pending ? pending.redirectTo : '/', {
+      error: error.status && error.status < 500
+        ? error.message
+        : 'Sign-in failed. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
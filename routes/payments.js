@@ -7,10 +7,14 @@ const express = require('express');
 const Stripe = require('stripe');
 const User = require('../models/User');
 const Campaign = require('../models/Campaign');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireVerifiedEmail, blockWhileImpersonating } = require('../middleware/auth');
+const { checkBadges } = require('../services/badges');
 
 const router = express.Router();
 
+// Impersonation tokens cannot reach the blocked actions here (config/impersonation.js)
+router.use(blockWhileImpersonating);
+
 // Initialize Stripe
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
@@ -124,7 +128,7 @@ router.get('/subscription-status', authenticate, async (req, res) => {
  * POST /api/payments/donate
  * Create a payment intent for campaign donation
  */
-router.post('/donate', authenticate, async (req, res) => {
+router.post('/donate', authenticate, requireVerifiedEmail, async (req, res) => {
   try {
     const { campaignId, amount, message, isAnonymous } = req.body;
     
@@ -205,6 +209,8 @@ router.post('/confirm-donation', authenticate, async (req, res) => {
       stripePaymentIntentId: paymentIntentId,
       status: 'completed'
     });
+    await checkBadges(userId, ['donations']);
+    await checkBadges(campaign.organizer, ['campaigns']);
     
     res.json({
       message: 'Donation confirmed',
@@ -382,6 +388,8 @@ async function handleDonationSuccess(paymentIntent) {
         stripePaymentIntentId: paymentIntent.id,
         status: 'completed'
       });
+      await checkBadges(userId, ['donations']);
+      await checkBadges(campaign.organizer, ['campaigns']);
     }
   } catch (error) {
     console.error('Handle donation success error:', error);
@@ -1,21 +1,75 @@
 /**
  * Post Routes
  * Handles creating, reading, updating, deleting posts
- * Plus likes, comments, and shares
+ * Plus reactions, comments, and shares
  */
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Post = require('../models/Post');
-const { authenticate, optionalAuth } = require('../middleware/auth');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Comment = require('../models/Comment');
+const Reaction = require('../models/Reaction');
+const { authenticate, optionalAuth, requireScope } = require('../middleware/auth');
+const { checkPostBadges } = require('../services/badges');
+const { notify } = require('../services/notifications');
+const {
+  addComment,
+  removeComment,
+  toggleLike,
+  listComments
+} = require('../services/comments');
+const { toFeedItems, toFeedItem } = require('../services/feed');
+const { SORTS, MAX_PAGE_SIZE } = require('../config/comments');
+const {
+  REACTION_TYPES,
+  DEFAULT_PAGE_SIZE: REACTIONS_PAGE_SIZE,
+  MAX_PAGE_SIZE: MAX_REACTIONS_PAGE_SIZE
+} = require('../config/reactions');
 
 const router = express.Router();
 
+/**
+ * Followers-only and private posts stay with their audience
+ */
+const canViewPost = async (post, userId) => {
+  if (post.visibility !== 'followers' && post.visibility !== 'private') return true;
+  if (!userId) return false;
+  
+  const authorId = post.author._id || post.author;
+  if (authorId.toString() === userId.toString()) return true;
+  
+  return post.visibility === 'followers' && Follow.isFollowing(userId, authorId);
+};
+
+/**
+ * Response after a reaction changes: the viewer's reaction and the
+ * post's counts (post holds the counts returned by Reaction)
+ */
+const reactionResponse = (post, reaction) => ({
+  reaction,
+  reactions: Object.fromEntries(REACTION_TYPES.map(type => [type, post.reactionCounts[type] || 0])),
+  reactionCount: post.reactionCount,
+  liked: !!reaction,
+  likeCount: post.reactionCount
+});
+
+// Query validators shared by the comment listings
+const listingValidators = [
+  query('sort')
+    .optional()
+    .isIn(SORTS).withMessage(`Sort must be one of: ${SORTS.join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`)
+];
+
 /**
  * GET /api/posts/feed
  * Get personalized feed for logged-in user
  */
-router.get('/feed', authenticate, async (req, res) => {
+router.get('/feed', requireScope('posts:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -23,7 +77,7 @@ router.get('/feed', authenticate, async (req, res) => {
     const posts = await Post.getFeed(req.userId, page, limit);
     
     res.json({
-      posts: posts.map(p => p.toFeedItem(req.userId)),
+      posts: await toFeedItems(posts, req.userId),
       page,
       hasMore: posts.length === limit
     });
@@ -41,10 +95,10 @@ router.get('/feed', authenticate, async (req, res) => {
 router.get('/trending', optionalAuth, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
-    const posts = await Post.getTrending(limit);
+    const posts = await Post.getTrending(limit, req.userId);
     
     res.json({
-      posts: posts.map(p => p.toFeedItem ? p.toFeedItem(req.userId) : p)
+      posts: await toFeedItems(posts, req.userId)
     });
     
   } catch (error) {
@@ -60,14 +114,13 @@ router.get('/trending', optionalAuth, async (req, res) => {
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const post = await Post.findById(req.params.id)
-      .populate('author', 'name avatar role')
-      .populate('comments.author', 'name avatar');
+      .populate('author', 'name avatar role');
     
-    if (!post || post.isDeleted) {
+    if (!post || post.isDeleted || !(await canViewPost(post, req.userId))) {
       return res.status(404).json({ error: 'Post not found' });
     }
     
-    res.json({ post: post.toFeedItem(req.userId) });
+    res.json({ post: await toFeedItem(post, req.userId) });
     
   } catch (error) {
     console.error('Get post error:', error);
@@ -80,7 +133,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
  * Create a new post
  */
 router.post('/',
-  authenticate,
+  requireScope('posts:write'),
   [
     body('content')
       .trim()
@@ -106,7 +159,7 @@ router.post('/',
         author: req.userId,
         content,
         media: media || [],
-        visibility: visibility || 'public',
+        visibility: visibility || req.user.settings.defaultPostVisibility,
         tags: tags || [],
         group: group || null
       });
@@ -131,7 +184,7 @@ router.post('/',
  * Update a post
  */
 router.put('/:id',
-  authenticate,
+  requireScope('posts:write'),
   [
     body('content')
       .optional()
@@ -170,7 +223,7 @@ router.put('/:id',
       
       res.json({
         message: 'Post updated successfully',
-        post: post.toFeedItem(req.userId)
+        post: await toFeedItem(post, req.userId)
       });
       
     } catch (error) {
@@ -210,34 +263,29 @@ router.delete('/:id', authenticate, async (req, res) => {
 
 /**
  * POST /api/posts/:id/like
- * Like a post
+ * Like a post, or take back my reaction if I already reacted
+ * (shortcut for clients that only know likes)
  */
 router.post('/:id/like', authenticate, async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
     
-    if (!post || post.isDeleted) {
+    if (!post || post.isDeleted || !(await canViewPost(post, req.userId))) {
       return res.status(404).json({ error: 'Post not found' });
     }
     
-    const isLiked = post.isLikedBy(req.userId);
+    const hasReacted = !!(await Reaction.exists({ post: post._id, user: req.userId }));
     
-    if (isLiked) {
-      // Unlike
-      post.likes = post.likes.filter(
-        id => id.toString() !== req.userId.toString()
-      );
-    } else {
-      // Like
-      post.likes.push(req.userId);
+    if (hasReacted) {
+      const { post: counts } = await Reaction.unreact(post._id, req.userId);
+      return res.json(reactionResponse(counts, null));
     }
     
-    await post.save();
+    const { post: counts } = await Reaction.react(post._id, req.userId, 'like');
+    post.set({ reactionCounts: counts.reactionCounts, reactionCount: counts.reactionCount });
+    await checkPostBadges(post);
     
-    res.json({
-      liked: !isLiked,
-      likeCount: post.likeCount
-    });
+    res.json(reactionResponse(counts, 'like'));
     
   } catch (error) {
     console.error('Like post error:', error);
@@ -245,11 +293,254 @@ router.post('/:id/like', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/posts/:id/reactions
+ * Who reacted to a post, newest first
+ * Query: type (one reaction type only), cursor, limit
+ */
+router.get('/:id/reactions',
+  optionalAuth,
+  [
+    query('type')
+      .optional()
+      .isIn(REACTION_TYPES).withMessage(`Type must be one of: ${REACTION_TYPES.join(', ')}`),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: MAX_REACTIONS_PAGE_SIZE }).withMessage(`Limit must be between 1 and ${MAX_REACTIONS_PAGE_SIZE}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const post = await Post.findById(req.params.id);
+      
+      if (!post || post.isDeleted || !(await canViewPost(post, req.userId))) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+      
+      const { reactions, nextCursor } = await Reaction.listPage(post._id, {
+        type: req.query.type,
+        excludeUserIds: await User.getHiddenUserIds(req.userId),
+        cursor: req.query.cursor,
+        limit: parseInt(req.query.limit) || REACTIONS_PAGE_SIZE
+      });
+      
+      res.json({
+        reactions,
+        counts: reactionResponse(post, null).reactions,
+        total: post.reactionCount,
+        nextCursor
+      });
+      
+    } catch (error) {
+      console.error('Get reactions error:', error);
+      res.status(500).json({ error: 'Failed to get reactions.' });
+    }
+  }
+);
+
+/**
+ * POST /api/posts/:id/reactions
+ * React to a post, or change my reaction: { "type": "insightful" }
+ */
+router.post('/:id/reactions',
+  authenticate,
+  body('type')
+    .isIn(REACTION_TYPES).withMessage(`Type must be one of: ${REACTION_TYPES.join(', ')}`),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const post = await Post.findById(req.params.id);
+      
+      if (!post || post.isDeleted || !(await canViewPost(post, req.userId))) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+      
+      const { previous, post: counts } = await Reaction.react(post._id, req.userId, req.body.type);
+      
+      if (previous !== req.body.type) {
+        post.set({ reactionCounts: counts.reactionCounts, reactionCount: counts.reactionCount });
+        await checkPostBadges(post);
+      }
+      
+      res.json(reactionResponse(counts, req.body.type));
+      
+    } catch (error) {
+      console.error('React to post error:', error);
+      res.status(500).json({ error: 'Failed to react to post.' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/posts/:id/reactions
+ * Take back my reaction
+ */
+router.delete('/:id/reactions', authenticate, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    
+    if (!post || post.isDeleted) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    
+    const { post: counts } = await Reaction.unreact(post._id, req.userId);
+    
+    res.json(reactionResponse(counts, null));
+    
+  } catch (error) {
+    console.error('Remove reaction error:', error);
+    res.status(500).json({ error: 'Failed to remove reaction.' });
+  }
+});
+
+/**
+ * GET /api/posts/:id/comments
+ * Top-level comments, a page at a time
+ * Query: sort (newest | oldest | top), cursor, limit
+ */
+router.get('/:id/comments', optionalAuth, listingValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const post = await Post.findById(req.params.id);
+    
+    if (!post || post.isDeleted || !(await canViewPost(post, req.userId))) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    
+    const { comments, nextCursor } = await listComments(post._id, {
+      sort: req.query.sort,
+      cursor: req.query.cursor,
+      limit: req.query.limit,
+      viewerId: req.userId
+    });
+    
+    res.json({ comments, commentCount: post.commentCount, nextCursor });
+    
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ error: 'Failed to get comments.' });
+  }
+});
+
+/**
+ * GET /api/posts/:id/comments/:commentId/replies
+ * Direct replies to a comment, oldest first unless sort says otherwise
+ * Query: sort (newest | oldest | top), cursor, limit
+ */
+router.get('/:id/comments/:commentId/replies', optionalAuth, listingValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const post = await Post.findById(req.params.id);
+    
+    if (!post || post.isDeleted || !(await canViewPost(post, req.userId))) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    
+    const parent = await Comment.findOne({ _id: req.params.commentId, post: post._id });
+    
+    if (!parent) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    
+    const { comments, nextCursor } = await listComments(post._id, {
+      parent: parent._id,
+      sort: req.query.sort || 'oldest',
+      cursor: req.query.cursor,
+      limit: req.query.limit,
+      viewerId: req.userId
+    });
+    
+    res.json({ replies: comments, replyCount: parent.replyCount, nextCursor });
+    
+  } catch (error) {
+    console.error('Get replies error:', error);
+    res.status(500).json({ error: 'Failed to get replies.' });
+  }
+});
+
 /**
  * POST /api/posts/:id/comment
- * Add comment to a post
+ * Add comment to a post, or reply to a comment with parentId
  */
 router.post('/:id/comment',
+  authenticate,
+  [
+    body('content')
+      .trim()
+      .notEmpty().withMessage('Comment content is required')
+      .isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters'),
+    body('parentId')
+      .optional({ nullable: true })
+      .isMongoId().withMessage('Invalid parent comment')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const post = await Post.findById(req.params.id);
+      
+      if (!post || post.isDeleted || !(await canViewPost(post, req.userId))) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+      
+      const author = await User.findById(post.author).select('blockedUsers settings.privacy');
+      if (author && author.hasBlocked(req.userId)) {
+        return res.status(403).json({ error: 'You cannot comment on this post' });
+      }
+      
+      // The author chose who may comment on their posts
+      if (author && !(await author.privacyAllows('whoCanComment', req.userId))) {
+        return res.status(403).json({ error: 'The author has limited who can comment on this post' });
+      }
+      
+      const comment = await addComment(post, req.userId, req.body.content, req.body.parentId);
+      await checkPostBadges(post);
+      
+      if (comment.parent) {
+        const parent = await Comment.findById(comment.parent).select('author');
+        if (parent) await notify(parent.author, req.user, 'comment_reply', comment);
+      }
+      
+      res.status(201).json({
+        message: comment.parent ? 'Reply added' : 'Comment added',
+        comment: comment.toCommentItem(req.userId),
+        commentCount: post.commentCount
+      });
+      
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Add comment error:', error);
+      res.status(500).json({ error: 'Failed to add comment.' });
+    }
+  }
+);
+
+/**
+ * PUT /api/posts/:id/comments/:commentId
+ * Edit a comment (its author only)
+ */
+router.put('/:id/comments/:commentId',
   authenticate,
   body('content')
     .trim()
@@ -268,36 +559,80 @@ router.post('/:id/comment',
         return res.status(404).json({ error: 'Post not found' });
       }
       
-      const comment = {
-        author: req.userId,
-        content: req.body.content,
-        createdAt: new Date()
-      };
+      const comment = await Comment.findOne({
+        _id: req.params.commentId,
+        post: post._id,
+        isDeleted: false
+      });
       
-      post.comments.push(comment);
-      await post.save();
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
       
-      // Populate the new comment's author
-      await post.populate('comments.author', 'name avatar');
+      if (String(comment.author) !== req.userId.toString()) {
+        return res.status(403).json({ error: 'Not authorized to edit this comment' });
+      }
       
-      const newComment = post.comments[post.comments.length - 1];
+      comment.content = req.body.content;
+      comment.isEdited = true;
+      comment.editedAt = new Date();
       
-      res.status(201).json({
-        message: 'Comment added',
-        comment: newComment,
-        commentCount: post.commentCount
+      await comment.save();
+      await comment.populate('author', 'name avatar role');
+      
+      res.json({
+        message: 'Comment updated',
+        comment: comment.toCommentItem(req.userId)
       });
       
     } catch (error) {
-      console.error('Add comment error:', error);
-      res.status(500).json({ error: 'Failed to add comment.' });
+      console.error('Update comment error:', error);
+      res.status(500).json({ error: 'Failed to update comment.' });
     }
   }
 );
 
+/**
+ * POST /api/posts/:id/comments/:commentId/like
+ * Like/unlike a comment
+ */
+router.post('/:id/comments/:commentId/like', authenticate, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    
+    if (!post || post.isDeleted || !(await canViewPost(post, req.userId))) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      post: post._id,
+      isDeleted: false
+    });
+    
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    
+    const author = comment.author && await User.findById(comment.author).select('blockedUsers');
+    if (author && author.hasBlocked(req.userId)) {
+      return res.status(403).json({ error: 'You cannot like this comment' });
+    }
+    
+    const { liked, likeCount } = await toggleLike(comment, req.userId);
+    if (liked) await notify(comment.author, req.user, 'comment_like', comment);
+    
+    res.json({ liked, likeCount });
+    
+  } catch (error) {
+    console.error('Like comment error:', error);
+    res.status(500).json({ error: 'Failed to like comment.' });
+  }
+});
+
 /**
  * DELETE /api/posts/:id/comment/:commentId
- * Delete a comment
+ * Delete a comment. One with replies is left as a tombstone.
  */
 router.delete('/:id/comment/:commentId', authenticate, async (req, res) => {
   try {
@@ -307,24 +642,28 @@ router.delete('/:id/comment/:commentId', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'Post not found' });
     }
     
-    const comment = post.comments.id(req.params.commentId);
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      post: post._id,
+      isDeleted: false
+    });
     
     if (!comment) {
       return res.status(404).json({ error: 'Comment not found' });
     }
     
     // Check ownership (comment author or post author can delete)
-    if (comment.author.toString() !== req.userId.toString() &&
+    if (String(comment.author) !== req.userId.toString() &&
         post.author.toString() !== req.userId.toString()) {
       return res.status(403).json({ error: 'Not authorized to delete this comment' });
     }
     
-    comment.deleteOne();
-    await post.save();
+    const { tombstone, commentCount } = await removeComment(comment);
     
     res.json({ 
       message: 'Comment deleted',
-      commentCount: post.commentCount
+      tombstone,
+      commentCount
     });
     
   } catch (error) {
@@ -371,7 +710,7 @@ router.post('/:id/bookmark', authenticate, async (req, res) => {
  * GET /api/posts/bookmarks
  * Get user's bookmarked posts
  */
-router.get('/bookmarks', authenticate, async (req, res) => {
+router.get('/bookmarks', requireScope('posts:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -387,7 +726,7 @@ router.get('/bookmarks', authenticate, async (req, res) => {
     .populate('author', 'name avatar role');
     
     res.json({
-      posts: posts.map(p => p.toFeedItem(req.userId)),
+      posts: await toFeedItems(posts, req.userId),
       page,
       hasMore: posts.length === limit
     });
@@ -416,6 +755,7 @@ router.post('/:id/share', authenticate, async (req, res) => {
     });
     
     await post.save();
+    await checkPostBadges(post);
     
     res.json({
       message: 'Post shared',
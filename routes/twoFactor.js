@@ -0,0 +1,288 @@
+/**
+ * Two-Factor Authentication Routes
+ * TOTP enrolment, recovery codes and disabling 2FA
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { authenticate, blockWhileImpersonating } = require('../middleware/auth');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  verifySecondFactor
+} = require('../services/totp');
+const { recordSecurityEvent } = require('../services/securityEvents');
+const {
+  twoFactorTargets,
+  checkAttempts,
+  recordFailure,
+  clearAttempts
+} = require('../services/loginThrottle');
+
+const router = express.Router();
+
+// Impersonation tokens cannot reach the blocked actions here (config/impersonation.js)
+router.use(blockWhileImpersonating);
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// ===================
+// HELPERS
+// ===================
+
+/**
+ * Reply 429 while wrong codes for this account are cooling down
+ */
+const sendTooManyAttempts = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(429).json({
+    error: throttle.locked
+      ? 'Too many failed attempts. Access is temporarily locked.'
+      : 'Too many failed attempts. Please wait before trying again.',
+    retryAfter: throttle.retryAfter
+  });
+};
+
+// ===================
+// VALIDATION RULES
+// ===================
+
+const codeValidation = body('code')
+  .trim()
+  .matches(/^\d{6}$/).withMessage('Code must be 6 digits');
+
+const reauthValidation = [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Recovery code cannot be empty')
+];
+
+// ===================
+// ROUTES
+// ===================
+
+/**
+ * GET /api/auth/2fa/status
+ * Get 2FA status for the current user
+ */
+router.get('/status', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt || null,
+      required: await user.requiresTwoFactor(),
+      recoveryCodesRemaining: user.twoFactor.enabled
+        ? user.twoFactor.recoveryCodes.filter(c => !c.usedAt).length
+        : 0
+    });
+
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ error: 'Failed to get 2FA status.' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrolment: generate a secret and the data for a QR code.
+ * 2FA stays off until the first code is confirmed.
+ */
+router.post('/setup', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.secret = secret;
+    await user.save();
+
+    const otpauthUri = buildOtpauthUri(secret, user.email);
+
+    res.json({
+      secret,
+      otpauthUri,
+      qrCode: await QRCode.toDataURL(otpauthUri)
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start 2FA setup.' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrolment with a code from the authenticator app.
+ * Returns recovery codes - they are only shown this once.
+ */
+router.post('/enable', authenticate, codeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.userId).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.secret) {
+      return res.status(400).json({ error: 'Start setup first' });
+    }
+
+    const step = verifyCode(user.twoFactor.secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    await recordSecurityEvent(req, { type: '2fa_enabled', user });
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ error: 'Failed to enable 2FA.' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace all recovery codes (requires a current code)
+ */
+router.post('/recovery-codes', authenticate, codeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.userId).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const throttleTargets = twoFactorTargets(user._id);
+    const throttle = await checkAttempts(throttleTargets);
+    if (!throttle.allowed) {
+      await recordSecurityEvent(req, { type: 'two_factor_failed', outcome: 'failure', reason: 'throttled', user, details: { action: 'recovery_codes' } });
+      return sendTooManyAttempts(res, throttle);
+    }
+
+    if (!verifySecondFactor(user, { code: req.body.code })) {
+      await recordFailure(throttleTargets);
+      await recordSecurityEvent(req, { type: 'two_factor_failed', outcome: 'failure', reason: 'invalid_code', user, details: { action: 'recovery_codes' } });
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    await clearAttempts(throttleTargets);
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    await recordSecurityEvent(req, { type: 'recovery_codes_regenerated', user });
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes.' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn 2FA off. Requires the password plus a code or recovery code.
+ */
+router.post('/disable', authenticate, reauthValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'A code or recovery code is required' });
+    }
+
+    const user = await User.findById(req.userId).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    // Wrong passwords and codes share one counter per account
+    const throttleTargets = twoFactorTargets(user._id);
+    const throttle = await checkAttempts(throttleTargets);
+    if (!throttle.allowed) {
+      await recordSecurityEvent(req, { type: 'two_factor_failed', outcome: 'failure', reason: 'throttled', user, details: { action: 'disable' } });
+      return sendTooManyAttempts(res, throttle);
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch || !verifySecondFactor(user, { code, recoveryCode })) {
+      await recordFailure(throttleTargets);
+      await recordSecurityEvent(req, { type: 'two_factor_failed', outcome: 'failure', reason: 'invalid_credentials', user, details: { action: 'disable' } });
+      return res.status(401).json({ error: 'Invalid password or authentication code' });
+    }
+
+    await clearAttempts(throttleTargets);
+
+    if (await user.requiresTwoFactor()) {
+      return res.status(403).json({
+        error: 'Two-factor authentication is required while you have campaigns with payouts'
+      });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.enabledAt = undefined;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.lastUsedStep = undefined;
+    await user.save();
+
+    await recordSecurityEvent(req, { type: '2fa_disabled', user });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable 2FA.' });
+  }
+});
+
+module.exports = router;
@@ -4,44 +4,716 @@
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Post = require('../models/Post');
-const { authenticate, optionalAuth } = require('../middleware/auth');
+const Follow = require('../models/Follow');
+const VerificationRequest = require('../models/VerificationRequest');
+const Notification = require('../models/Notification');
+const { authenticate, optionalAuth, blockWhileImpersonating } = require('../middleware/auth');
+const { sendMail, frontendUrl } = require('../services/mail');
+const { passwordResetTargets, checkAttempts, recordFailure } = require('../services/loginThrottle');
+const { recordSecurityEvent } = require('../services/securityEvents');
+const { getSuggestions, dismissSuggestion } = require('../services/suggestions');
+const { toFeedItems } = require('../services/feed');
+const {
+  CHANGE_COOLDOWN_DAYS: USERNAME_CHANGE_COOLDOWN_DAYS,
+  normalizeUsername
+} = require('../config/usernames');
+const {
+  AUDIENCES,
+  PRIVACY_SETTINGS,
+  POST_VISIBILITIES,
+  SUPPORTED_LANGUAGES,
+  SETTINGS_PATHS,
+  isValidTimezone
+} = require('../config/settings');
+const { describeBadges } = require('../config/badges');
+const {
+  CATEGORIES: VERIFICATION_CATEGORIES,
+  MAX_LINKS: MAX_VERIFICATION_LINKS
+} = require('../config/verification');
+const { uploadDocuments, removeDocuments } = require('../services/verification');
+const {
+  buildAccountExport,
+  streamExportZip,
+  scheduleDeletion
+} = require('../services/accountData');
 
 const router = express.Router();
 
+// Impersonation tokens cannot reach the blocked actions here (config/impersonation.js)
+router.use(blockWhileImpersonating);
+
 /**
- * GET /api/users/:id
- * Get user profile by ID
+ * GET /api/users/me/export
+ * Download everything we hold about the current user
+ * ?format=zip for a ZIP archive, JSON otherwise
  */
-router.get('/:id', optionalAuth, async (req, res) => {
+router.get('/me/export', authenticate, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id)
-      .populate('followers', 'name avatar')
-      .populate('following', 'name avatar');
+    const data = await buildAccountExport(req.userId);
+    const filename = `wef-export-${req.userId}-${Date.now()}`;
     
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (req.query.format === 'zip') {
+      res.attachment(`${filename}.zip`);
+      return await streamExportZip(data, res);
     }
     
-    // Get user's post count
-    const postCount = await Post.countDocuments({ 
-      author: user._id, 
-      isDeleted: false 
+    res.attachment(`${filename}.json`);
+    res.send(JSON.stringify(data, null, 2));
+    
+  } catch (error) {
+    console.error('Export data error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to export data.' });
+    }
+  }
+});
+
+/**
+ * Deactivate the account, schedule its deletion and tell the user
+ */
+const closeAccount = async (req, user) => {
+  const scheduledFor = await scheduleDeletion(user);
+  
+  await recordSecurityEvent(req, {
+    type: 'account_deletion_requested',
+    user,
+    details: { scheduledFor }
+  });
+  
+  try {
+    await sendMail('accountDeletionScheduled', user.email, {
+      name: user.name,
+      scheduledFor
     });
+  } catch (mailError) {
+    console.error('Deletion email error:', mailError);
+  }
+  
+  return scheduledFor;
+};
+
+/**
+ * DELETE /api/users/me
+ * Close the current account. It is deactivated immediately and
+ * permanently deleted after the grace period unless the user signs in again.
+ * Accounts without a password (OpenID Connect sign-in only) confirm
+ * through a link sent to their email instead.
+ */
+router.delete('/me', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('+password');
+    
+    if (!user.password) {
+      const deletionToken = user.createAccountDeletionToken();
+      await user.save();
+      
+      await sendMail('accountDeletionConfirm', user.email, {
+        name: user.name,
+        url: frontendUrl('/confirm-account-deletion', { token: deletionToken })
+      });
+      
+      return res.status(202).json({
+        message: `We sent a confirmation link to ${user.email}. Your account is closed once you open it.`
+      });
+    }
     
-    const profile = user.toPublicProfile();
-    profile.postCount = postCount;
+    if (!req.body.password) {
+      return res.status(400).json({ error: 'Password is required' });
+    }
     
-    // Check if current user is following this user
-    if (req.userId) {
-      profile.isFollowing = user.followers.some(
-        f => f._id.toString() === req.userId.toString()
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      await recordSecurityEvent(req, { type: 'account_deletion_requested', outcome: 'failure', reason: 'invalid_password', user });
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+    
+    const scheduledFor = await closeAccount(req, user);
+    
+    res.json({ 
+      message: 'Account scheduled for deletion. Sign in again before the date below to cancel.',
+      deletionScheduledFor: scheduledFor
+    });
+    
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: 'Failed to delete account.' });
+  }
+});
+
+/**
+ * POST /api/users/me/delete/confirm
+ * Close an account without a password (token from the email sent by
+ * DELETE /api/users/me)
+ */
+router.post('/me/delete/confirm',
+  body('token').notEmpty().withMessage('Confirmation token is required'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const throttleTargets = passwordResetTargets(req.ip);
+      const throttle = await checkAttempts(throttleTargets);
+      if (!throttle.allowed) {
+        res.set('Retry-After', String(throttle.retryAfter));
+        return res.status(429).json({
+          error: 'Too many failed attempts. Please wait before trying again.',
+          retryAfter: throttle.retryAfter
+        });
+      }
+      
+      const crypto = require('crypto');
+      const hashedToken = crypto
+        .createHash('sha256')
+        .update(String(req.body.token))
+        .digest('hex');
+      
+      const user = await User.findOne({
+        accountDeletionToken: hashedToken,
+        accountDeletionExpires: { $gt: Date.now() },
+        isActive: true
+      });
+      
+      if (!user) {
+        await recordFailure(throttleTargets);
+        return res.status(400).json({ 
+          error: 'Invalid or expired confirmation link' 
+        });
+      }
+      
+      user.accountDeletionToken = undefined;
+      user.accountDeletionExpires = undefined;
+      const scheduledFor = await closeAccount(req, user);
+      
+      res.json({ 
+        message: 'Account scheduled for deletion. Sign in again before the date below to cancel.',
+        deletionScheduledFor: scheduledFor
+      });
+      
+    } catch (error) {
+      console.error('Confirm account deletion error:', error);
+      res.status(500).json({ error: 'Failed to delete account.' });
+    }
+  }
+);
+
+/**
+ * GET /api/users/me/blocks
+ * Users the current user has blocked or muted
+ */
+router.get('/me/blocks', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId)
+      .populate('blockedUsers', 'name avatar')
+      .populate('mutedUsers', 'name avatar');
+    
+    res.json({
+      blocked: user.blockedUsers,
+      muted: user.mutedUsers
+    });
+    
+  } catch (error) {
+    console.error('Get blocks error:', error);
+    res.status(500).json({ error: 'Failed to get blocked users.' });
+  }
+});
+
+// ===================
+// SETTINGS
+// ===================
+
+/**
+ * GET /api/users/me/settings
+ * Notification, privacy and display preferences
+ */
+router.get('/me/settings', authenticate, async (req, res) => {
+  res.json({ settings: req.user.settings });
+});
+
+/**
+ * PATCH /api/users/me/settings
+ * Change some preferences; anything not sent is left alone, e.g.
+ * { "notifications": { "email": { "likes": true } }, "timezone": "Europe/Paris" }
+ */
+router.patch('/me/settings',
+  authenticate,
+  [
+    body('notifications.*.*')
+      .optional()
+      .isBoolean().withMessage('Notification settings must be true or false')
+      .toBoolean(),
+    ...Object.keys(PRIVACY_SETTINGS).map(key =>
+      body(`privacy.${key}`)
+        .optional()
+        .isIn(AUDIENCES).withMessage(`${key} must be one of: ${AUDIENCES.join(', ')}`)),
+    body('defaultPostVisibility')
+      .optional()
+      .isIn(POST_VISIBILITIES).withMessage('Invalid visibility'),
+    body('language')
+      .optional()
+      .isIn(SUPPORTED_LANGUAGES).withMessage(`Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`),
+    body('timezone')
+      .optional()
+      .custom(isValidTimezone).withMessage('Invalid time zone (use e.g. "Europe/Paris")')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const updates = {};
+      for (const path of SETTINGS_PATHS) {
+        const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), req.body);
+        if (value !== undefined) {
+          updates[`settings.${path}`] = value;
+        }
+      }
+      
+      if (!Object.keys(updates).length) {
+        return res.status(400).json({ error: 'No settings to update' });
+      }
+      
+      const user = await User.findByIdAndUpdate(
+        req.userId,
+        { $set: updates },
+        { new: true, runValidators: true }
       );
+      
+      res.json({
+        message: 'Settings updated',
+        settings: user.settings
+      });
+      
+    } catch (error) {
+      console.error('Update settings error:', error);
+      res.status(500).json({ error: 'Failed to update settings.' });
     }
+  }
+);
+
+// ===================
+// NOTIFICATIONS
+// ===================
+
+/**
+ * GET /api/users/me/notifications
+ * My in-app notifications, newest first
+ * Query: cursor, limit (default 20, max 100)
+ */
+router.get('/me/notifications', authenticate, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    
+    const filter = { recipient: req.userId };
+    if (req.query.cursor && mongoose.Types.ObjectId.isValid(req.query.cursor)) {
+      filter._id = { $lt: req.query.cursor };
+    }
+    
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .populate('actor', 'name avatar'),
+      Notification.countDocuments({ recipient: req.userId, read: false })
+    ]);
+    
+    const hasMore = notifications.length > limit;
+    const page = hasMore ? notifications.slice(0, limit) : notifications;
+    
+    res.json({
+      notifications: page.map(n => n.toNotificationItem()),
+      unreadCount,
+      nextCursor: hasMore ? page[page.length - 1]._id : null
+    });
+    
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to get notifications.' });
+  }
+});
+
+/**
+ * POST /api/users/me/notifications/read
+ * Mark notifications as read: the given { ids }, or all of them
+ */
+router.post('/me/notifications/read',
+  authenticate,
+  [
+    body('ids')
+      .optional()
+      .isArray({ max: 100 }).withMessage('ids must be an array of up to 100 ids'),
+    body('ids.*')
+      .isMongoId().withMessage('Invalid notification id')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const filter = { recipient: req.userId, read: false };
+      if (req.body.ids) filter._id = { $in: req.body.ids };
+      
+      await Notification.updateMany(filter, { $set: { read: true } });
+      const unreadCount = await Notification.countDocuments({ recipient: req.userId, read: false });
+      
+      res.json({ message: 'Notifications marked as read', unreadCount });
+      
+    } catch (error) {
+      console.error('Mark notifications read error:', error);
+      res.status(500).json({ error: 'Failed to mark notifications as read.' });
+    }
+  }
+);
+
+// ===================
+// VERIFICATION
+// ===================
+
+/**
+ * GET /api/users/me/verification
+ * Whether I'm verified, and my latest verification request
+ */
+router.get('/me/verification', authenticate, async (req, res) => {
+  try {
+    const latest = await VerificationRequest.findOne({ user: req.userId }).sort({ createdAt: -1 });
+    
+    res.json({
+      isVerified: req.user.isVerified,
+      verifiedAs: req.user.toPublicProfile().verifiedAs,
+      request: latest ? latest.toApplicantView() : null
+    });
+    
+  } catch (error) {
+    console.error('Get verification error:', error);
+    res.status(500).json({ error: 'Failed to get verification status.' });
+  }
+});
+
+/**
+ * POST /api/users/me/verification
+ * Apply for the verified badge (multipart/form-data):
+ * category, links (repeat the field for several), note, documents (files)
+ */
+router.post('/me/verification',
+  authenticate,
+  uploadDocuments,
+  [
+    body('category')
+      .isIn(VERIFICATION_CATEGORIES).withMessage(`Category must be one of: ${VERIFICATION_CATEGORIES.join(', ')}`),
+    body('links')
+      .optional()
+      .customSanitizer(links => [].concat(links))
+      .isArray({ max: MAX_VERIFICATION_LINKS }).withMessage(`You can add up to ${MAX_VERIFICATION_LINKS} links`),
+    body('links.*')
+      .trim()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Links must be full http(s) URLs'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters')
+  ],
+  async (req, res) => {
+    const files = req.files || [];
+    
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await removeDocuments(files);
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      if (req.user.isVerified) {
+        await removeDocuments(files);
+        return res.status(400).json({ error: 'Your profile is already verified' });
+      }
+      
+      const links = req.body.links || [];
+      if (!links.length && !files.length) {
+        return res.status(400).json({ error: 'Add at least one supporting link or document' });
+      }
+      
+      const request = await VerificationRequest.create({
+        user: req.userId,
+        category: req.body.category,
+        links,
+        documents: files.map(file => ({
+          storedName: file.filename,
+          originalName: file.originalname,
+          mimeType: file.mimetype,
+          size: file.size
+        })),
+        note: req.body.note
+      });
+      
+      res.status(201).json({
+        message: 'Verification request submitted',
+        request: request.toApplicantView()
+      });
+      
+    } catch (error) {
+      await removeDocuments(files);
+      
+      // The unique index allows one pending request per member
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'You already have a verification request under review' });
+      }
+      
+      console.error('Submit verification error:', error);
+      res.status(500).json({ error: 'Failed to submit verification request.' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/users/me/verification
+ * Withdraw my pending request (its documents are deleted)
+ */
+router.delete('/me/verification', authenticate, async (req, res) => {
+  try {
+    const request = await VerificationRequest.findOneAndUpdate(
+      { user: req.userId, status: 'pending' },
+      { $set: { status: 'withdrawn' } },
+      { new: true }
+    );
+    
+    if (!request) {
+      return res.status(404).json({ error: 'No verification request under review' });
+    }
+    
+    await removeDocuments(request.documents);
+    request.documents = [];
+    await request.save();
+    
+    res.json({ message: 'Verification request withdrawn' });
+    
+  } catch (error) {
+    console.error('Withdraw verification error:', error);
+    res.status(500).json({ error: 'Failed to withdraw verification request.' });
+  }
+});
+
+// ===================
+// SUGGESTIONS
+// ===================
+
+/**
+ * GET /api/users/suggestions
+ * People you may know: friends of friends, shared groups and
+ * campaigns, same location. ?limit (max 50), ?refresh=true to rebuild.
+ */
+router.get('/suggestions', authenticate, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    
+    const suggestions = await getSuggestions(req.userId, {
+      limit,
+      refresh: req.query.refresh === 'true'
+    });
+    
+    res.json({ suggestions });
+    
+  } catch (error) {
+    console.error('Get suggestions error:', error);
+    res.status(500).json({ error: 'Failed to get suggestions.' });
+  }
+});
+
+/**
+ * POST /api/users/suggestions/:id/dismiss
+ * Stop suggesting this person
+ */
+router.post('/suggestions/:id/dismiss', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    await dismissSuggestion(req.userId, req.params.id);
     
-    res.json({ user: profile });
+    res.json({ message: 'Suggestion dismissed' });
+    
+  } catch (error) {
+    console.error('Dismiss suggestion error:', error);
+    res.status(500).json({ error: 'Failed to dismiss suggestion.' });
+  }
+});
+
+// ===================
+// PROFILES & HANDLES
+// ===================
+
+/**
+ * Profile as the current viewer may see it. Private accounts show a
+ * limited profile to everyone but the owner and approved followers.
+ */
+const buildProfile = async (user, req) => {
+  if (!(await user.canBeViewedBy(req.userId))) {
+    const profile = user.toLimitedProfile();
+    if (req.userId) {
+      profile.isFollowing = false;
+      profile.followRequested = user.hasFollowRequestFrom(req.userId);
+      profile.isBlocked = req.user.hasBlocked(user._id);
+      profile.isMuted = req.user.hasMuted(user._id);
+    }
+    return profile;
+  }
+  
+  // Get user's post count
+  const postCount = await Post.countDocuments({ 
+    author: user._id, 
+    isDeleted: false 
+  });
+  
+  const isSelf = !!req.userId && user._id.toString() === req.userId.toString();
+  const profile = isSelf ? user.toSelfProfile() : user.toPublicProfile();
+  profile.postCount = postCount;
+  
+  // Check if current user is following this user
+  if (req.userId) {
+    profile.isFollowing = await user.isFollowedBy(req.userId);
+    profile.isBlocked = req.user.hasBlocked(user._id);
+    profile.isMuted = req.user.hasMuted(user._id);
+  }
+  
+  return profile;
+};
+
+/**
+ * GET /api/users/username-available?username=
+ * Check whether a handle can be claimed
+ */
+router.get('/username-available', optionalAuth, async (req, res) => {
+  try {
+    const username = String(req.query.username || '').trim();
+    const { available, reason } = await User.checkUsernameAvailability(username, req.userId);
+    
+    res.json({ username, available, reason });
+    
+  } catch (error) {
+    console.error('Username availability error:', error);
+    res.status(500).json({ error: 'Failed to check username.' });
+  }
+});
+
+/**
+ * PUT /api/users/me/username
+ * Pick or change the current user's @handle. After a change the old
+ * handle redirects to the new one for a while, and the handle can't
+ * be changed again until the cooldown has passed.
+ */
+router.put('/me/username',
+  authenticate,
+  body('username').trim().notEmpty().withMessage('Username is required'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const { username } = req.body;
+      const user = await User.findById(req.userId);
+      
+      if (user.username === username) {
+        return res.json({ message: 'Username unchanged', user: user.toSelfProfile() });
+      }
+      
+      // Changing only the case keeps the same handle, so no cooldown
+      const sameHandle = user.usernameLower === normalizeUsername(username);
+      
+      if (user.username && !sameHandle && user.usernameChangedAt) {
+        const nextChangeAt = new Date(
+          user.usernameChangedAt.getTime() + USERNAME_CHANGE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000
+        );
+        if (nextChangeAt > new Date()) {
+          return res.status(429).json({ 
+            error: `You can change your username once every ${USERNAME_CHANGE_COOLDOWN_DAYS} days.`,
+            nextChangeAt
+          });
+        }
+      }
+      
+      const { available, reason } = await User.checkUsernameAvailability(username, user._id);
+      if (!available) {
+        return res.status(400).json({ error: reason });
+      }
+      
+      if (sameHandle) {
+        user.username = username;
+      } else {
+        user.changeUsername(username);
+      }
+      
+      try {
+        await user.save();
+      } catch (saveError) {
+        // Claimed by someone else in the meantime
+        if (saveError.code === 11000) {
+          return res.status(400).json({ error: 'This username is taken' });
+        }
+        throw saveError;
+      }
+      
+      res.json({ 
+        message: 'Username updated',
+        user: user.toSelfProfile()
+      });
+      
+    } catch (error) {
+      console.error('Change username error:', error);
+      res.status(500).json({ error: 'Failed to change username.' });
+    }
+  }
+);
+
+/**
+ * GET /api/users/by-handle/:handle
+ * Get a profile by @handle. An old handle redirects to the current one.
+ */
+router.get('/by-handle/:handle', optionalAuth, async (req, res) => {
+  try {
+    const { user, redirected } = await User.findByHandle(req.params.handle);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (redirected) {
+      const location = `${req.baseUrl}/by-handle/${encodeURIComponent(user.username)}`;
+      return res.redirect(302, location);
+    }
+    
+    res.json({ user: await buildProfile(user, req) });
+    
+  } catch (error) {
+    console.error('Get user by handle error:', error);
+    res.status(500).json({ error: 'Failed to get user profile.' });
+  }
+});
+
+/**
+ * GET /api/users/:id
+ * Get user profile by ID
+ */
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({ user: await buildProfile(user, req) });
     
   } catch (error) {
     console.error('Get user error:', error);
@@ -68,7 +740,11 @@ router.put('/profile',
       .isLength({ max: 100 }).withMessage('Location cannot exceed 100 characters'),
     body('website')
       .optional()
-      .isURL().withMessage('Please enter a valid URL')
+      .isURL().withMessage('Please enter a valid URL'),
+    body('isPrivate')
+      .optional()
+      .isBoolean().withMessage('isPrivate must be true or false')
+      .toBoolean()
   ],
   async (req, res) => {
     try {
@@ -77,7 +753,7 @@ router.put('/profile',
         return res.status(400).json({ errors: errors.array() });
       }
       
-      const allowedUpdates = ['name', 'bio', 'location', 'website', 'avatar', 'role'];
+      const allowedUpdates = ['name', 'bio', 'location', 'website', 'avatar', 'role', 'isPrivate'];
       const updates = {};
       
       for (const field of allowedUpdates) {
@@ -92,9 +768,24 @@ router.put('/profile',
         { new: true, runValidators: true }
       );
       
+      // Going public approves everyone still waiting
+      if (!user.isPrivate && user.followRequests.length) {
+        const requesterIds = user.followRequests.map(r => r.user);
+        
+        await User.updateOne({ _id: user._id }, { $set: { followRequests: [] } });
+        for (const requesterId of requesterIds) {
+          await Follow.follow(requesterId, user._id);
+        }
+        
+        user.followRequests = [];
+      }
+      
+      // Counts may have moved with the approvals above
+      const updated = await User.findById(user._id);
+      
       res.json({ 
         message: 'Profile updated successfully',
-        user: user.toPublicProfile() 
+        user: updated.toSelfProfile() 
       });
       
     } catch (error) {
@@ -120,23 +811,32 @@ router.post('/:id/follow', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'You cannot follow yourself' });
     }
     
-    // Check if already following
-    const isFollowing = userToFollow.followers.includes(req.userId);
+    if (await User.isBlockedBetween(req.userId, userToFollow._id)) {
+      return res.status(403).json({ error: 'You cannot follow this user' });
+    }
     
-    if (isFollowing) {
-      return res.status(400).json({ error: 'You are already following this user' });
+    // Following twice is not an error
+    if (await Follow.isFollowing(req.userId, userToFollow._id)) {
+      return res.json({ message: 'Already following user', status: 'following' });
     }
     
-    // Add to followers/following
-    await User.findByIdAndUpdate(req.params.id, {
-      $addToSet: { followers: req.userId }
-    });
+    // Private accounts approve followers first
+    if (userToFollow.isPrivate) {
+      if (userToFollow.hasFollowRequestFrom(req.userId)) {
+        return res.status(400).json({ error: 'Follow request already sent' });
+      }
+      
+      await User.updateOne(
+        { _id: userToFollow._id, 'followRequests.user': { $ne: req.userId } },
+        { $push: { followRequests: { user: req.userId, requestedAt: new Date() } } }
+      );
+      
+      return res.status(202).json({ message: 'Follow request sent', status: 'requested' });
+    }
     
-    await User.findByIdAndUpdate(req.userId, {
-      $addToSet: { following: req.params.id }
-    });
+    await Follow.follow(req.userId, userToFollow._id);
     
-    res.json({ message: 'Now following user' });
+    res.json({ message: 'Now following user', status: 'following' });
     
   } catch (error) {
     console.error('Follow error:', error);
@@ -156,14 +856,13 @@ router.delete('/:id/follow', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    // Remove from followers/following
-    await User.findByIdAndUpdate(req.params.id, {
-      $pull: { followers: req.userId }
-    });
+    // Remove the follow (and cancel a pending request)
+    await Follow.unfollow(req.userId, userToUnfollow._id);
     
-    await User.findByIdAndUpdate(req.userId, {
-      $pull: { following: req.params.id }
-    });
+    await User.updateOne(
+      { _id: userToUnfollow._id },
+      { $pull: { followRequests: { user: req.userId } } }
+    );
     
     res.json({ message: 'Unfollowed user' });
     
@@ -173,34 +872,259 @@ router.delete('/:id/follow', authenticate, async (req, res) => {
   }
 });
 
+// ===================
+// BLOCK & MUTE
+// ===================
+
 /**
- * GET /api/users/:id/followers
- * Get user's followers
+ * Load the target of a block/mute request, or send the error response
  */
-router.get('/:id/followers', async (req, res) => {
+const findRelationshipTarget = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  
+  const target = await User.findById(req.params.id).select('_id');
+  
+  if (!target) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  
+  if (target._id.toString() === req.userId.toString()) {
+    res.status(400).json({ error: 'You cannot do this to yourself' });
+    return null;
+  }
+  
+  return target;
+};
+
+/**
+ * POST /api/users/:id/block
+ * Block a user: removes follows both ways, stops them following you
+ * or commenting on your posts, and hides each other's posts
+ */
+router.post('/:id/block', authenticate, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const target = await findRelationshipTarget(req, res);
+    if (!target) return;
     
-    const user = await User.findById(req.params.id)
-      .populate({
-        path: 'followers',
-        select: 'name avatar bio role',
-        options: { skip, limit }
-      });
+    await User.updateOne(
+      { _id: req.userId },
+      {
+        $addToSet: { blockedUsers: target._id },
+        $pull: { followRequests: { user: target._id } }
+      }
+    );
     
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+    await User.updateOne(
+      { _id: target._id },
+      { $pull: { followRequests: { user: req.userId } } }
+    );
+    
+    await Follow.unfollow(req.userId, target._id);
+    await Follow.unfollow(target._id, req.userId);
+    
+    res.json({ message: 'User blocked' });
+    
+  } catch (error) {
+    console.error('Block error:', error);
+    res.status(500).json({ error: 'Failed to block user.' });
+  }
+});
+
+/**
+ * DELETE /api/users/:id/block
+ * Unblock a user (follows are not restored)
+ */
+router.delete('/:id/block', authenticate, async (req, res) => {
+  try {
+    const target = await findRelationshipTarget(req, res);
+    if (!target) return;
+    
+    await User.updateOne(
+      { _id: req.userId },
+      { $pull: { blockedUsers: target._id } }
+    );
+    
+    res.json({ message: 'User unblocked' });
+    
+  } catch (error) {
+    console.error('Unblock error:', error);
+    res.status(500).json({ error: 'Failed to unblock user.' });
+  }
+});
+
+/**
+ * POST /api/users/:id/mute
+ * Hide a user's posts from your feeds. They are not told and
+ * nothing else changes.
+ */
+router.post('/:id/mute', authenticate, async (req, res) => {
+  try {
+    const target = await findRelationshipTarget(req, res);
+    if (!target) return;
+    
+    await User.updateOne(
+      { _id: req.userId },
+      { $addToSet: { mutedUsers: target._id } }
+    );
+    
+    res.json({ message: 'User muted' });
+    
+  } catch (error) {
+    console.error('Mute error:', error);
+    res.status(500).json({ error: 'Failed to mute user.' });
+  }
+});
+
+/**
+ * DELETE /api/users/:id/mute
+ * Unmute a user
+ */
+router.delete('/:id/mute', authenticate, async (req, res) => {
+  try {
+    const target = await findRelationshipTarget(req, res);
+    if (!target) return;
+    
+    await User.updateOne(
+      { _id: req.userId },
+      { $pull: { mutedUsers: target._id } }
+    );
+    
+    res.json({ message: 'User unmuted' });
+    
+  } catch (error) {
+    console.error('Unmute error:', error);
+    res.status(500).json({ error: 'Failed to unmute user.' });
+  }
+});
+
+// ===================
+// FOLLOW REQUESTS
+// ===================
+
+/**
+ * GET /api/users/me/follow-requests
+ * People waiting for the current (private) user to approve them
+ */
+router.get('/me/follow-requests', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId)
+      .populate('followRequests.user', 'name avatar bio role');
     
     res.json({
-      followers: user.followers,
-      total: user.followers.length,
-      page,
-      pages: Math.ceil(user.followers.length / limit)
+      requests: user.followRequests
+        .filter(r => r.user)
+        .map(r => ({ user: r.user, requestedAt: r.requestedAt }))
     });
     
+  } catch (error) {
+    console.error('Get follow requests error:', error);
+    res.status(500).json({ error: 'Failed to get follow requests.' });
+  }
+});
+
+/**
+ * POST /api/users/me/follow-requests/:userId/approve
+ * Accept a follow request
+ */
+router.post('/me/follow-requests/:userId/approve', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ error: 'Follow request not found' });
+    }
+    
+    // Only the call that removes the request goes on to add the follow
+    const result = await User.updateOne(
+      { _id: req.userId, 'followRequests.user': req.params.userId },
+      { $pull: { followRequests: { user: req.params.userId } } }
+    );
+    
+    if (!result.modifiedCount) {
+      return res.status(404).json({ error: 'Follow request not found' });
+    }
+    
+    await Follow.follow(req.params.userId, req.userId);
+    
+    res.json({ message: 'Follow request approved' });
+    
+  } catch (error) {
+    console.error('Approve follow request error:', error);
+    res.status(500).json({ error: 'Failed to approve follow request.' });
+  }
+});
+
+/**
+ * POST /api/users/me/follow-requests/:userId/reject
+ * Decline a follow request (the requester is not told)
+ */
+router.post('/me/follow-requests/:userId/reject', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ error: 'Follow request not found' });
+    }
+    
+    const result = await User.updateOne(
+      { _id: req.userId, 'followRequests.user': req.params.userId },
+      { $pull: { followRequests: { user: req.params.userId } } }
+    );
+    
+    if (!result.modifiedCount) {
+      return res.status(404).json({ error: 'Follow request not found' });
+    }
+    
+    res.json({ message: 'Follow request rejected' });
+    
+  } catch (error) {
+    console.error('Reject follow request error:', error);
+    res.status(500).json({ error: 'Failed to reject follow request.' });
+  }
+});
+
+/**
+ * One page of a user's followers or followed users, newest first.
+ * Pass ?cursor= with the previous page's nextCursor to continue.
+ */
+const listConnections = async (req, res, direction) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  
+  const user = await User.findById(req.params.id)
+    .select('isPrivate followerCount followingCount settings.privacy');
+  
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  // Private accounts only show their connections to approved followers
+  if (!(await user.canBeViewedBy(req.userId))) {
+    return res.status(403).json({ error: 'This account is private' });
+  }
+  
+  if (!(await user.privacyAllows('whoCanSeeFollowers', req.userId))) {
+    return res.status(403).json({ error: 'This member keeps their connections private' });
+  }
+  
+  const { users, nextCursor } = await Follow.listPage(user._id, direction, {
+    cursor: req.query.cursor,
+    limit
+  });
+  
+  res.json({
+    [direction]: users,
+    total: direction === 'followers' ? user.followerCount : user.followingCount,
+    nextCursor
+  });
+};
+
+/**
+ * GET /api/users/:id/followers
+ * Get user's followers
+ */
+router.get('/:id/followers', optionalAuth, async (req, res) => {
+  try {
+    await listConnections(req, res, 'followers');
   } catch (error) {
     console.error('Get followers error:', error);
     res.status(500).json({ error: 'Failed to get followers.' });
@@ -211,33 +1135,39 @@ router.get('/:id/followers', async (req, res) => {
  * GET /api/users/:id/following
  * Get users that this user follows
  */
-router.get('/:id/following', async (req, res) => {
+router.get('/:id/following', optionalAuth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    
-    const user = await User.findById(req.params.id)
-      .populate({
-        path: 'following',
-        select: 'name avatar bio role',
-        options: { skip, limit }
-      });
+    await listConnections(req, res, 'following');
+  } catch (error) {
+    console.error('Get following error:', error);
+    res.status(500).json({ error: 'Failed to get following.' });
+  }
+});
+
+/**
+ * GET /api/users/:id/badges
+ * Badges the user has earned, most recent first
+ */
+router.get('/:id/badges', optionalAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('isPrivate badges');
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    res.json({
-      following: user.following,
-      total: user.following.length,
-      page,
-      pages: Math.ceil(user.following.length / limit)
-    });
+    if (!(await user.canBeViewedBy(req.userId))) {
+      return res.status(403).json({ error: 'This account is private' });
+    }
+    
+    const badges = describeBadges(user.badges)
+      .sort((a, b) => b.awardedAt - a.awardedAt);
+    
+    res.json({ badges, total: badges.length });
     
   } catch (error) {
-    console.error('Get following error:', error);
-    res.status(500).json({ error: 'Failed to get following.' });
+    console.error('Get badges error:', error);
+    res.status(500).json({ error: 'Failed to get badges.' });
   }
 });
 
@@ -256,13 +1186,18 @@ router.get('/:id/posts', optionalAuth, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
+    // Blocked either way: neither sees the other's posts
+    if (req.userId && await User.isBlockedBetween(req.userId, user._id)) {
+      return res.json({ posts: [], total: 0, page, pages: 0 });
+    }
+    
     // Determine visibility based on relationship
     let visibilityFilter = ['public'];
     if (req.userId) {
       if (req.userId.toString() === req.params.id) {
         // Own posts - show all
         visibilityFilter = ['public', 'followers', 'private'];
-      } else if (user.followers.includes(req.userId)) {
+      } else if (await Follow.isFollowing(req.userId, user._id)) {
         // Following - show public and followers
         visibilityFilter = ['public', 'followers'];
       }
@@ -287,7 +1222,7 @@ router.get('/:id/posts', optionalAuth, async (req, res) => {
     });
     
     res.json({
-      posts: posts.map(p => p.toFeedItem(req.userId)),
+      posts: await toFeedItems(posts, req.userId),
       total,
       page,
       pages: Math.ceil(total / limit)
@@ -0,0 +1,40 @@
+/**
+ * Award badges from existing data
+ *
+ * Usage:
+ *   npm run backfill-badges
+ *
+ * Evaluates every active member against every badge in
+ * config/badges.js, using past donations, campaigns, groups and posts.
+ * Run after adding a badge. Safe to re-run: badges already held are
+ * never awarded twice.
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const { backfillBadges } = require('../services/badges');
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const { users, awarded } = await backfillBadges({
+      onProgress: ({ users, awarded }) => console.log(`  ${users} users checked, ${awarded} badges awarded`)
+    });
+    console.log(`✅ Checked ${users} users, awarded ${awarded} badge(s)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Failed to backfill badges:', error.message);
+  process.exit(1);
+});
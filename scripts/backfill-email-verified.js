@@ -0,0 +1,49 @@
+/**
+ * Mark accounts created before email verification existed as verified
+ *
+ * Usage:
+ *   npm run backfill-email-verified
+ *
+ * Groups, campaigns and donations need a verified email, and
+ * isEmailVerified defaults to false. Members who registered before
+ * verification was introduced were never asked to verify, so this gives
+ * them the flag instead of locking them out. Those accounts are the ones
+ * whose stored document has no isEmailVerified field at all; accounts
+ * created since always store it, verified or not.
+ *
+ * Run once with the API stopped, before starting the version that
+ * requires a verified email. Safe to re-run: it only touches documents
+ * still missing the field.
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    // Use the raw collection: through the model the default would fill the field in
+    const { modifiedCount } = await User.collection.updateMany(
+      { isEmailVerified: { $exists: false } },
+      { $set: { isEmailVerified: true } }
+    );
+
+    console.log(`✅ Marked ${modifiedCount} existing account(s) as email-verified`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Failed to backfill email verification:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+/**
+ * Bootstrap a platform admin
+ *
+ * Usage:
+ *   npm run create-admin -- <email> [role]
+ *
+ * Promotes an existing (registered) account. role defaults to "admin"
+ * and can be any platform role, e.g. "finance" or "moderator".
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ROLES } = require('../config/permissions');
+
+const run = async () => {
+  const [email, role = 'admin'] = process.argv.slice(2);
+
+  if (!email) {
+    console.error('Usage: npm run create-admin -- <email> [role]');
+    process.exit(1);
+  }
+
+  if (!ROLES.includes(role)) {
+    console.error(`Unknown role "${role}". Valid roles: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (!user) {
+      console.error(`No account found for ${email}. Register it first.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    user.platformRole = role;
+    await user.save();
+
+    console.log(`✅ ${user.email} is now "${role}"`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Failed to create admin:', error.message);
+  process.exit(1);
+});
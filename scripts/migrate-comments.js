@@ -0,0 +1,109 @@
+/**
+ * Move comments from the old embedded Post.comments array into the
+ * Comment collection
+ *
+ * Usage:
+ *   npm run migrate-comments
+ *
+ * Run once with the API stopped, before starting the version that reads
+ * from Comment. Safe to re-run: comments keep their ids and are upserted,
+ * counts are recomputed from the Comment collection and the old arrays
+ * are removed last. Existing comments all become top-level comments.
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+const BATCH_SIZE = 1000;
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    await Comment.init();
+
+    // Read the raw documents: the array is no longer in the schema
+    const cursor = Post.collection.find(
+      { comments: { $exists: true } },
+      { projection: { comments: 1 } }
+    );
+
+    let ops = [];
+    let posts = 0;
+    let comments = 0;
+
+    const flush = async () => {
+      if (!ops.length) return;
+      const result = await Comment.collection.bulkWrite(ops, { ordered: false });
+      comments += result.upsertedCount;
+      ops = [];
+    };
+
+    for await (const post of cursor) {
+      posts++;
+      for (const comment of post.comments || []) {
+        if (!comment.author || !comment.content) continue;
+        const likes = comment.likes || [];
+        const createdAt = comment.createdAt || comment._id.getTimestamp();
+        ops.push({
+          updateOne: {
+            filter: { _id: comment._id },
+            update: {
+              $setOnInsert: {
+                post: post._id,
+                parent: null,
+                depth: 0,
+                author: comment.author,
+                content: comment.content,
+                likes,
+                likeCount: likes.length,
+                replyCount: 0,
+                isDeleted: false,
+                createdAt,
+                updatedAt: createdAt
+              }
+            },
+            upsert: true
+          }
+        });
+        if (ops.length >= BATCH_SIZE) await flush();
+      }
+    }
+    await flush();
+
+    console.log(`Read ${posts} posts, created ${comments} comments`);
+
+    // Recompute every count from the collection
+    await Post.updateMany({}, { $set: { commentCount: 0 } });
+    await Comment.aggregate([
+      { $match: { isDeleted: false } },
+      { $group: { _id: '$post', commentCount: { $sum: 1 } } },
+      { $merge: { into: Post.collection.collectionName, on: '_id', whenMatched: 'merge', whenNotMatched: 'discard' } }
+    ]);
+
+    console.log('Recomputed comment counts');
+
+    const { modifiedCount } = await Post.collection.updateMany(
+      { comments: { $exists: true } },
+      { $unset: { comments: '' } }
+    );
+
+    console.log(`✅ Removed the old arrays from ${modifiedCount} posts`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Comment migration failed:', error.message);
+  process.exit(1);
+});
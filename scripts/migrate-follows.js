@@ -0,0 +1,102 @@
+/**
+ * Move follows from the old embedded User.followers / User.following
+ * arrays into the Follow collection
+ *
+ * Usage:
+ *   npm run migrate-follows
+ *
+ * Run once with the API stopped, before starting the version that reads
+ * from Follow. Safe to re-run: edges are upserted, counts are recomputed
+ * from the Follow collection and the old arrays are removed last.
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+
+const BATCH_SIZE = 1000;
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    // The unique index is what makes the upserts below safe to repeat
+    await Follow.init();
+
+    // Read the raw documents: the arrays are no longer in the schema
+    const cursor = User.collection.find(
+      { $or: [{ followers: { $exists: true } }, { following: { $exists: true } }] },
+      { projection: { followers: 1, following: 1 } }
+    );
+
+    let ops = [];
+    let users = 0;
+    let edges = 0;
+
+    const flush = async () => {
+      if (!ops.length) return;
+      const result = await Follow.collection.bulkWrite(ops, { ordered: false });
+      edges += result.upsertedCount;
+      ops = [];
+    };
+
+    const addEdge = async (follower, following) => {
+      if (!follower || !following || follower.toString() === following.toString()) return;
+      ops.push({
+        updateOne: {
+          filter: { follower, following },
+          update: { $setOnInsert: { follower, following, createdAt: new Date() } },
+          upsert: true
+        }
+      });
+      if (ops.length >= BATCH_SIZE) await flush();
+    };
+
+    // Either side of a follow may only be on one of the two arrays
+    for await (const user of cursor) {
+      users++;
+      for (const id of user.following || []) await addEdge(user._id, id);
+      for (const id of user.followers || []) await addEdge(id, user._id);
+    }
+    await flush();
+
+    console.log(`Read ${users} users, created ${edges} follow edges`);
+
+    // Recompute every count from the edges
+    await User.updateMany({}, { $set: { followerCount: 0, followingCount: 0 } });
+
+    const usersCollection = User.collection.collectionName;
+    await Follow.aggregate([
+      { $group: { _id: '$following', followerCount: { $sum: 1 } } },
+      { $merge: { into: usersCollection, on: '_id', whenMatched: 'merge', whenNotMatched: 'discard' } }
+    ]);
+    await Follow.aggregate([
+      { $group: { _id: '$follower', followingCount: { $sum: 1 } } },
+      { $merge: { into: usersCollection, on: '_id', whenMatched: 'merge', whenNotMatched: 'discard' } }
+    ]);
+
+    console.log('Recomputed follower and following counts');
+
+    const { modifiedCount } = await User.collection.updateMany(
+      { $or: [{ followers: { $exists: true } }, { following: { $exists: true } }] },
+      { $unset: { followers: '', following: '' } }
+    );
+
+    console.log(`✅ Removed the old arrays from ${modifiedCount} users`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Follow migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,111 @@
+/**
+ * Move likes from the old embedded Post.likes array into the Reaction
+ * collection, as reactions of type "like"
+ *
+ * Usage:
+ *   npm run migrate-reactions
+ *
+ * Run once with the API stopped, before starting the version that reads
+ * from Reaction. Safe to re-run: reactions are upserted (a member who
+ * already reacted keeps their reaction), counts are recomputed from the
+ * Reaction collection and the old arrays are removed last.
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Reaction = require('../models/Reaction');
+const { REACTION_TYPES } = require('../config/reactions');
+
+const BATCH_SIZE = 1000;
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    // The unique index is what makes the upserts below safe to repeat
+    await Reaction.init();
+
+    // Read the raw documents: the array is no longer in the schema
+    const cursor = Post.collection.find(
+      { likes: { $exists: true } },
+      { projection: { likes: 1, createdAt: 1 } }
+    );
+
+    let ops = [];
+    let posts = 0;
+    let reactions = 0;
+
+    const flush = async () => {
+      if (!ops.length) return;
+      const result = await Reaction.collection.bulkWrite(ops, { ordered: false });
+      reactions += result.upsertedCount;
+      ops = [];
+    };
+
+    for await (const post of cursor) {
+      posts++;
+      // When each like was made isn't known; the post's date is the best guess
+      const reactedAt = post.createdAt || post._id.getTimestamp();
+      for (const user of post.likes || []) {
+        ops.push({
+          updateOne: {
+            filter: { post: post._id, user },
+            update: {
+              $setOnInsert: { post: post._id, user, type: 'like', createdAt: reactedAt, updatedAt: reactedAt }
+            },
+            upsert: true
+          }
+        });
+        if (ops.length >= BATCH_SIZE) await flush();
+      }
+    }
+    await flush();
+
+    console.log(`Read ${posts} posts, created ${reactions} reactions`);
+
+    // Recompute every count from the collection
+    const zeroCounts = Object.fromEntries(REACTION_TYPES.map(type => [type, 0]));
+    await Post.collection.updateMany({}, { $set: { reactionCounts: zeroCounts, reactionCount: 0 } });
+    await Reaction.aggregate([
+      { $group: { _id: { post: '$post', type: '$type' }, count: { $sum: 1 } } },
+      {
+        $group: {
+          _id: '$_id.post',
+          counts: { $push: { k: '$_id.type', v: '$count' } },
+          reactionCount: { $sum: '$count' }
+        }
+      },
+      {
+        $project: {
+          reactionCount: 1,
+          reactionCounts: { $mergeObjects: [zeroCounts, { $arrayToObject: '$counts' }] }
+        }
+      },
+      { $merge: { into: Post.collection.collectionName, on: '_id', whenMatched: 'merge', whenNotMatched: 'discard' } }
+    ]);
+
+    console.log('Recomputed reaction counts');
+
+    const { modifiedCount } = await Post.collection.updateMany(
+      { likes: { $exists: true } },
+      { $unset: { likes: '' } }
+    );
+
+    console.log(`✅ Removed the old arrays from ${modifiedCount} posts`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Reaction migration failed:', error.message);
+  process.exit(1);
+});
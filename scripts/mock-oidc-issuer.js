@@ -0,0 +1,132 @@
+/**
+ * Local mock OpenID Connect issuer for development and testing
+ *
+ * Usage:
+ *   npm run mock-oidc
+ *
+ * Then point a provider at it, e.g. in .env:
+ *   OIDC_GOOGLE_ISSUER=http://localhost:9400
+ *   OIDC_GOOGLE_CLIENT_ID=mock-client
+ *   OIDC_GOOGLE_CLIENT_SECRET=mock-secret
+ *
+ * /authorize signs in without a login page. The identity comes from
+ * the login_hint query parameter (an email) or MOCK_OIDC_EMAIL; add
+ * email_verified=false to simulate an unverified address.
+ *
+ * Settings: MOCK_OIDC_PORT (9400), MOCK_OIDC_CLIENT_ID, MOCK_OIDC_CLIENT_SECRET
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 9400;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'mock-client';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || 'mock.user@example.com';
+
+const KID = 'mock-key-1';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Authorization codes waiting to be exchanged (single use, 60s)
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const tokenError = (res, error, description) => res.status(400).json({
+  error,
+  error_description: description
+});
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_post']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' }]
+  });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+
+  if (client_id !== CLIENT_ID) return res.status(400).send('Unknown client_id');
+  if (!redirect_uri) return res.status(400).send('redirect_uri is required');
+  if (!code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).send('PKCE (S256) is required');
+  }
+
+  const email = (req.query.login_hint || DEFAULT_EMAIL).toLowerCase();
+  const code = crypto.randomBytes(16).toString('hex');
+
+  codes.set(code, {
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    nonce,
+    email,
+    emailVerified: req.query.email_verified !== 'false',
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  const url = new URL(redirect_uri);
+  url.searchParams.set('code', code);
+  if (state) url.searchParams.set('state', state);
+  res.redirect(url.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+
+  if (grant_type !== 'authorization_code') return tokenError(res, 'unsupported_grant_type');
+  if (client_id !== CLIENT_ID || client_secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  if (!grant || grant.expiresAt < Date.now()) return tokenError(res, 'invalid_grant', 'Unknown or expired code');
+  if (grant.redirectUri !== redirect_uri) return tokenError(res, 'invalid_grant', 'redirect_uri mismatch');
+
+  const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+  if (challenge !== grant.codeChallenge) return tokenError(res, 'invalid_grant', 'PKCE verification failed');
+
+  const idToken = jwt.sign({
+    sub: crypto.createHash('sha256').update(grant.email).digest('hex').slice(0, 24),
+    email: grant.email,
+    email_verified: grant.emailVerified,
+    name: grant.email.split('@')[0].replace(/[._]/g, ' '),
+    nonce: grant.nonce
+  }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🔐 Mock OIDC issuer running at ${ISSUER}`);
+  console.log(`   client_id=${CLIENT_ID} client_secret=${CLIENT_SECRET}`);
+});
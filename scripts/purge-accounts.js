@@ -0,0 +1,37 @@
+/**
+ * Purge deleted accounts
+ *
+ * Usage:
+ *   npm run purge-accounts
+ *
+ * Permanently removes every account whose deletion grace period is over.
+ * The server already does this hourly; use this script from cron when
+ * running without a long-lived server process.
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const { purgeDueAccounts } = require('../services/accountData');
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const purged = await purgeDueAccounts();
+    console.log(`✅ Purged ${purged} account(s)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Failed to purge accounts:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,80 @@
+/**
+ * Manage JWT signing keys
+ *
+ * Usage:
+ *   npm run rotate-keys                 # list keys
+ *   npm run rotate-keys -- --rotate     # new key, signs after the 1h publish lead
+ *   npm run rotate-keys -- --rotate --now
+ *   npm run rotate-keys -- --revoke <kid>
+ *
+ * --revoke is for a leaked key: every token it signed stops working
+ * and a replacement key starts signing straight away.
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const SigningKey = require('../models/SigningKey');
+const keyring = require('../services/keyring');
+
+const listKeys = async () => {
+  const keys = await SigningKey.find().sort({ activatesAt: -1 });
+  const now = new Date();
+
+  if (!keys.length) {
+    console.log('No signing keys yet. The server creates one on start.');
+    return;
+  }
+
+  keys.forEach(key => {
+    let state = 'signing';
+    if (key.revokedAt) state = 'revoked';
+    else if (key.activatesAt > now) state = 'published';
+    else if (key.retiredAt && key.retiredAt <= now) state = 'retired';
+
+    const until = key.expiresAt ? ` (verifies until ${key.expiresAt.toISOString()})` : '';
+    console.log(`${key.kid}  ${key.algorithm}  ${state}${until}`);
+  });
+};
+
+const run = async () => {
+  const args = process.argv.slice(2);
+
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    if (args.includes('--revoke')) {
+      const kid = args[args.indexOf('--revoke') + 1];
+      if (!kid) {
+        console.error('Usage: npm run rotate-keys -- --revoke <kid>');
+        process.exitCode = 1;
+        return;
+      }
+
+      if (!(await keyring.revokeKey(kid))) {
+        console.error(`No active key with kid "${kid}"`);
+        process.exitCode = 1;
+        return;
+      }
+      console.log(`✅ Revoked ${kid}`);
+      await keyring.rotateKeys({ immediate: true });
+    } else if (args.includes('--rotate')) {
+      await keyring.rotateKeys({ immediate: args.includes('--now') });
+    }
+
+    await listKeys();
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Key rotation failed:', error.message);
+  process.exit(1);
+});
@@ -12,12 +12,14 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 
-// Fallback secrets for production
-process.env.JWT_SECRET = process.env.JWT_SECRET || 'WEF_Secure_JWT_Secret_2026_Key';
-
+const keyring = require('./services/keyring');
 
 const app = express();
 
+// Number of reverse proxies in front of the app (load balancer, PaaS router).
+// Needed so req.ip is the client's address for login throttling.
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || 0);
+
 // ===================
 // SECURITY MIDDLEWARE
 // ===================
@@ -31,7 +33,7 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || '*',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
 const limiter = rateLimit({
@@ -112,6 +114,12 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Public keys for verifying WEF tokens (other services cache this)
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(keyring.getJwks());
+});
+
 // Debug endpoint
 app.get('/api/debug', (req, res) => {
   res.json({
@@ -122,6 +130,7 @@ app.get('/api/debug', (req, res) => {
     envVarsSet: {
       MONGODB_URI: !!process.env.MONGODB_URI,
       JWT_SECRET: !!process.env.JWT_SECRET,
+      KEYRING_ENCRYPTION_KEY: !!process.env.KEYRING_ENCRYPTION_KEY,
       STRIPE_SECRET_KEY: !!process.env.STRIPE_SECRET_KEY,
       STRIPE_PUBLISHABLE_KEY: !!process.env.STRIPE_PUBLISHABLE_KEY,
       STRIPE_WEBHOOK_SECRET: !!process.env.STRIPE_WEBHOOK_SECRET,
@@ -134,18 +143,26 @@ app.get('/api/debug', (req, res) => {
 // Import and use routes
 try {
   const authRoutes = require('./routes/auth');
+  const twoFactorRoutes = require('./routes/twoFactor');
+  const apiKeyRoutes = require('./routes/apiKeys');
+  const oauthRoutes = require('./routes/oauth');
   const userRoutes = require('./routes/users');
   const postRoutes = require('./routes/posts');
   const groupRoutes = require('./routes/groups');
   const campaignRoutes = require('./routes/campaigns');
   const paymentRoutes = require('./routes/payments');
+  const adminRoutes = require('./routes/admin');
 
+  app.use('/api/auth/2fa', twoFactorRoutes);
+  app.use('/api/auth/api-keys', apiKeyRoutes);
+  app.use('/api/auth/oidc', oauthRoutes);
   app.use('/api/auth', authRoutes);
   app.use('/api/users', userRoutes);
   app.use('/api/posts', postRoutes);
   app.use('/api/groups', groupRoutes);
   app.use('/api/campaigns', campaignRoutes);
   app.use('/api/payments', paymentRoutes);
+  app.use('/api/admin', adminRoutes);
   
   console.log('✅ All routes loaded successfully');
 } catch (error) {
@@ -202,6 +219,42 @@ app.use((err, req, res, next) => {
   });
 });
 
+// ===================
+// SCHEDULED JOBS
+// ===================
+
+const HOUR = 60 * 60 * 1000;
+const KEYRING_INTERVAL = 5 * 60 * 1000;
+
+// Load signing keys, create the first one, rotate when due
+const maintainKeyring = async () => {
+  if (!dbConnected) return;
+  try {
+    await keyring.maintainKeyring();
+  } catch (error) {
+    console.error('Keyring maintenance error:', error);
+  }
+};
+
+const startScheduledJobs = () => {
+  const { purgeDueAccounts } = require('./services/accountData');
+  
+  // Pick up keys published by other instances; keep this well under the
+  // one-hour lead time a new key gets before it starts signing
+  setInterval(maintainKeyring, KEYRING_INTERVAL);
+  
+  // Hard-delete accounts whose deletion grace period is over
+  setInterval(async () => {
+    if (!dbConnected) return;
+    try {
+      const purged = await purgeDueAccounts();
+      if (purged > 0) console.log(`🗑️  Purged ${purged} deleted account(s)`);
+    } catch (error) {
+      console.error('Account purge job error:', error);
+    }
+  }, HOUR);
+};
+
 // ===================
 // START SERVER
 // ===================
@@ -217,6 +270,9 @@ const startServer = async () => {
   
   // Then connect to database
   await connectDB();
+  
+  await maintainKeyring();
+  startScheduledJobs();
 };
 
 startServer();
@@ -0,0 +1,343 @@
+/**
+ * Account Data Service
+ * GDPR data export and account deletion (grace period + hard purge)
+ */
+
+const archiver = require('archiver');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Group = require('../models/Group');
+const Campaign = require('../models/Campaign');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const SecurityEvent = require('../models/SecurityEvent');
+const FollowSuggestion = require('../models/FollowSuggestion');
+const Follow = require('../models/Follow');
+const VerificationRequest = require('../models/VerificationRequest');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const Reaction = require('../models/Reaction');
+const { removeDocuments } = require('./verification');
+const { removeComment } = require('./comments');
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// Never leave the server, even in the user's own export
+const PRIVATE_USER_FIELDS = [
+  'password',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'magicLinkToken',
+  'magicLinkExpires',
+  'emailChangeToken',
+  'emailChangeCancelToken',
+  'emailChangeExpires',
+  'emailVerificationToken',
+  'emailVerificationExpires',
+  'accountDeletionToken',
+  'accountDeletionExpires',
+  'twoFactor'
+];
+
+// ===================
+// EXPORT
+// ===================
+
+/**
+ * Subscription history from Stripe, when Stripe is configured
+ */
+const getSubscriptionInvoices = async (user) => {
+  if (!user.stripeCustomerId || !process.env.STRIPE_SECRET_KEY) return [];
+
+  try {
+    const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+    const invoices = await stripe.invoices.list({ customer: user.stripeCustomerId, limit: 100 });
+
+    return invoices.data.map(invoice => ({
+      id: invoice.id,
+      status: invoice.status,
+      amountPaid: invoice.amount_paid / 100,
+      currency: invoice.currency,
+      periodStart: new Date(invoice.period_start * 1000),
+      periodEnd: new Date(invoice.period_end * 1000),
+      createdAt: new Date(invoice.created * 1000)
+    }));
+  } catch (error) {
+    console.error('Export: failed to load Stripe invoices:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Collect everything we hold about a user
+ */
+const buildAccountExport = async (userId) => {
+  const [user, followers, following] = await Promise.all([
+    User.findById(userId),
+    Follow.find({ following: userId }).sort({ _id: -1 }).populate('follower', 'name').lean(),
+    Follow.find({ follower: userId }).sort({ _id: -1 }).populate('following', 'name').lean()
+  ]);
+
+  const profile = user.toObject({ virtuals: false });
+  PRIVATE_USER_FIELDS.forEach(field => delete profile[field]);
+  profile.followers = followers
+    .filter(f => f.follower)
+    .map(f => ({ id: f.follower._id, name: f.follower.name, since: f.createdAt }));
+  profile.following = following
+    .filter(f => f.following)
+    .map(f => ({ id: f.following._id, name: f.following.name, since: f.createdAt }));
+
+  const [posts, comments, reactions, bookmarks, groups, donations, securityEvents, verificationRequests, invoices] = await Promise.all([
+    Post.find({ author: userId })
+      .select('content media postType group visibility tags isDeleted createdAt updatedAt')
+      .sort({ createdAt: -1 })
+      .lean(),
+
+    Comment.find({ author: userId, isDeleted: false })
+      .select('post parent content createdAt')
+      .sort({ createdAt: -1 })
+      .lean(),
+
+    Reaction.find({ user: userId })
+      .select('post type createdAt updatedAt')
+      .sort({ createdAt: -1 })
+      .lean(),
+
+    Post.find({ bookmarkedBy: userId })
+      .select('content author createdAt')
+      .populate('author', 'name')
+      .lean(),
+
+    Group.find({ 'members.user': userId })
+      .select('name members.$ creator')
+      .lean(),
+
+    Campaign.aggregate([
+      { $match: { 'donations.donor': user._id } },
+      { $unwind: '$donations' },
+      { $match: { 'donations.donor': user._id } },
+      {
+        $project: {
+          _id: '$donations._id',
+          campaign: '$_id',
+          campaignTitle: '$title',
+          amount: '$donations.amount',
+          message: '$donations.message',
+          isAnonymous: '$donations.isAnonymous',
+          status: '$donations.status',
+          createdAt: '$donations.createdAt'
+        }
+      },
+      { $sort: { createdAt: -1 } }
+    ]),
+
+    SecurityEvent.find({ user: userId })
+      .select('type outcome reason details ip userAgent createdAt')
+      .sort({ createdAt: -1 })
+      .lean(),
+
+    VerificationRequest.find({ user: userId }).sort({ createdAt: -1 }),
+
+    getSubscriptionInvoices(user)
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    posts,
+    comments,
+    reactions: reactions.map(r => ({ post: r.post, type: r.type, reactedAt: r.updatedAt })),
+    bookmarks: bookmarks.map(p => ({
+      post: p._id,
+      author: p.author ? p.author.name : null,
+      content: p.content,
+      createdAt: p.createdAt
+    })),
+    groupMemberships: groups.map(g => ({
+      group: g._id,
+      name: g.name,
+      role: g.creator.toString() === userId.toString() ? 'creator' : g.members[0].role,
+      joinedAt: g.members[0].joinedAt
+    })),
+    donations,
+    securityEvents,
+    verificationRequests: verificationRequests.map(r => r.toApplicantView()),
+    subscription: {
+      tier: user.tier,
+      status: user.subscriptionStatus,
+      endDate: user.subscriptionEndDate,
+      invoices
+    }
+  };
+};
+
+/**
+ * Stream an export as a ZIP archive (one JSON file per section)
+ */
+const streamExportZip = (data, res) => {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    archive.on('error', reject);
+    res.on('finish', resolve);
+    archive.pipe(res);
+
+    Object.entries(data).forEach(([section, value]) => {
+      if (section === 'exportedAt') return;
+      archive.append(JSON.stringify(value, null, 2), { name: `${section}.json` });
+    });
+    archive.append(JSON.stringify({ exportedAt: data.exportedAt }, null, 2), { name: 'README.json' });
+
+    archive.finalize();
+  });
+};
+
+// ===================
+// DELETION
+// ===================
+
+/**
+ * Deactivate now, purge after the grace period
+ */
+const scheduleDeletion = async (user) => {
+  user.isActive = false;
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await user.save();
+
+  await Session.revokeAllForUser(user._id, 'account_deleted');
+
+  return user.deletionScheduledFor;
+};
+
+/**
+ * Undo a scheduled deletion (user signed back in during the grace period)
+ */
+const cancelDeletion = async (user) => {
+  user.isActive = true;
+  user.deletionRequestedAt = null;
+  user.deletionScheduledFor = null;
+  await user.save();
+};
+
+/**
+ * Permanently remove an account and anonymize what must be kept
+ */
+const purgeAccount = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return;
+
+  // Donations stay (campaign totals depend on them) but lose the donor
+  await Campaign.updateMany(
+    { 'donations.donor': user._id },
+    {
+      $set: { 'donations.$[d].donor': null, 'donations.$[d].isAnonymous': true },
+      $unset: { 'donations.$[d].message': '' }
+    },
+    { arrayFilters: [{ 'd.donor': user._id }] }
+  );
+  await Campaign.updateMany({ followers: user._id }, { $pull: { followers: user._id } });
+
+  // Stop any campaign that could still take money for a deleted organizer
+  await Campaign.updateMany(
+    { organizer: user._id, status: { $in: ['draft', 'pending_review', 'active', 'paused'] } },
+    { $set: { status: 'canceled' } }
+  );
+
+  // Social graph
+  await Follow.removeAllFor(user._id);
+  await User.updateMany(
+    { $or: [{ blockedUsers: user._id }, { mutedUsers: user._id }, { 'followRequests.user': user._id }, { dismissedSuggestions: user._id }] },
+    { $pull: { blockedUsers: user._id, mutedUsers: user._id, followRequests: { user: user._id }, dismissedSuggestions: user._id } }
+  );
+  // Other users' cached lists skip missing accounts on read
+  await FollowSuggestion.deleteOne({ user: user._id });
+
+  // Groups: drop membership, hand over groups they created
+  await Group.updateMany(
+    { $or: [{ 'members.user': user._id }, { 'pendingRequests.user': user._id }] },
+    {
+      $pull: {
+        members: { user: user._id },
+        pendingRequests: { user: user._id },
+        admins: user._id,
+        moderators: user._id
+      }
+    }
+  );
+
+  const createdGroups = await Group.find({ creator: user._id });
+  for (const group of createdGroups) {
+    const successor = group.admins[0] || (group.members[0] && group.members[0].user);
+    if (successor) {
+      group.creator = successor;
+      if (!group.admins.some(id => id.toString() === successor.toString())) {
+        group.admins.push(successor);
+      }
+    } else {
+      group.isActive = false;
+    }
+    await group.save();
+  }
+
+  // Content: posts are soft-deleted, engagement and comments removed
+  await Post.updateMany({ author: user._id }, { $set: { isDeleted: true } });
+  await Post.updateMany(
+    { bookmarkedBy: user._id },
+    { $pull: { bookmarkedBy: user._id } }
+  );
+  await Reaction.removeAllFor(user._id);
+
+  // Comments with replies stay as anonymous tombstones
+  const comments = await Comment.find({ author: user._id, isDeleted: false });
+  for (const comment of comments) {
+    await removeComment(comment);
+  }
+  await Comment.updateMany({ author: user._id }, { $set: { author: null } });
+  await Comment.updateMany(
+    { likes: user._id },
+    { $pull: { likes: user._id }, $inc: { likeCount: -1 } }
+  );
+
+  // Verification documents are identity papers: delete the files too
+  const verificationRequests = await VerificationRequest.find({ user: user._id });
+  await removeDocuments(verificationRequests.flatMap(r => r.documents));
+  await VerificationRequest.deleteMany({ user: user._id });
+
+  await Notification.deleteMany({ $or: [{ recipient: user._id }, { actor: user._id }] });
+  await Session.deleteMany({ user: user._id });
+  await ApiKey.deleteMany({ user: user._id });
+  await SecurityEvent.purgeForUser(user._id, user.email);
+  await User.deleteOne({ _id: user._id });
+
+  console.log(`Purged account ${user._id}`);
+};
+
+/**
+ * Purge every account whose grace period is over
+ */
+const purgeDueAccounts = async () => {
+  const due = await User.find({
+    deletionScheduledFor: { $lte: new Date() }
+  }).select('_id');
+
+  for (const { _id } of due) {
+    try {
+      await purgeAccount(_id);
+    } catch (error) {
+      console.error(`Failed to purge account ${_id}:`, error);
+    }
+  }
+
+  return due.length;
+};
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  buildAccountExport,
+  streamExportZip,
+  scheduleDeletion,
+  cancelDeletion,
+  purgeAccount,
+  purgeDueAccounts
+};
@@ -0,0 +1,102 @@
+/**
+ * Attempt Stores
+ * Counters used by the login throttle. Every store exposes:
+ *   async get(key)                    -> { count, lastFailedAt, lockedUntil } | null
+ *   async increment(key, windowMs)    -> { count, lastFailedAt, lockedUntil }
+ *   async lock(key, until)
+ *   async reset(key)
+ */
+
+const LoginAttempt = require('../models/LoginAttempt');
+
+/**
+ * MongoDB store (default) - works across multiple server instances
+ */
+class MongoAttemptStore {
+  async get(key) {
+    const doc = await LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    return doc ? { count: doc.count, lastFailedAt: doc.lastFailedAt, lockedUntil: doc.lockedUntil } : null;
+  }
+
+  async increment(key, windowMs) {
+    const now = new Date();
+    const expired = { $lte: ['$expiresAt', now] };
+
+    // Pipeline update so the window reset and the increment are one atomic write
+    const doc = await LoginAttempt.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [expired, 1, { $add: [{ $ifNull: ['$count', 0] }, 1] }] },
+          lockedUntil: { $cond: [expired, null, '$lockedUntil'] },
+          expiresAt: { $cond: [expired, new Date(now.getTime() + windowMs), '$expiresAt'] },
+          lastFailedAt: now
+        }
+      }],
+      { upsert: true, new: true }
+    ).lean();
+
+    return { count: doc.count, lastFailedAt: doc.lastFailedAt, lockedUntil: doc.lockedUntil };
+  }
+
+  async lock(key, until) {
+    await LoginAttempt.updateOne(
+      { key },
+      { $set: { lockedUntil: until }, $max: { expiresAt: until } }
+    );
+  }
+
+  async reset(key) {
+    await LoginAttempt.deleteOne({ key });
+  }
+}
+
+/**
+ * In-memory store - single process only, for tests and local development
+ */
+class MemoryAttemptStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return { count: entry.count, lastFailedAt: entry.lastFailedAt, lockedUntil: entry.lockedUntil };
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.entries.get(key);
+
+    if (!entry || entry.expiresAt <= now) {
+      entry = { count: 0, lockedUntil: null, expiresAt: now + windowMs };
+      this.entries.set(key, entry);
+    }
+
+    entry.count += 1;
+    entry.lastFailedAt = new Date(now);
+
+    return { count: entry.count, lastFailedAt: entry.lastFailedAt, lockedUntil: entry.lockedUntil };
+  }
+
+  async lock(key, until) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    entry.lockedUntil = until;
+    entry.expiresAt = Math.max(entry.expiresAt, until.getTime());
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = {
+  MongoAttemptStore,
+  MemoryAttemptStore
+};
@@ -0,0 +1,47 @@
+/**
+ * Audit Log Service
+ * Records staff actions performed through the admin API
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Record one staff action for the current request
+ */
+const recordAudit = async (req, { action, targetType, targetId, details = {} }) => {
+  return AuditLog.create({
+    actor: req.userId,
+    action,
+    targetType,
+    targetId,
+    details,
+    ip: req.ip,
+    userAgent: (req.get('user-agent') || '').slice(0, 500)
+  });
+};
+
+/**
+ * Record one request made with an impersonation token.
+ * The actor is the staff member, the target the member they act as.
+ */
+const recordImpersonatedRequest = async (req, { impersonator, user, session, blocked = false }) => {
+  return AuditLog.create({
+    actor: impersonator._id,
+    action: 'impersonation.request',
+    targetType: 'user',
+    targetId: user._id,
+    details: {
+      session,
+      method: req.method,
+      url: req.originalUrl.slice(0, 500),
+      blocked
+    },
+    ip: req.ip,
+    userAgent: (req.get('user-agent') || '').slice(0, 500)
+  });
+};
+
+module.exports = {
+  recordAudit,
+  recordImpersonatedRequest
+};
@@ -0,0 +1,156 @@
+/**
+ * Badge Service
+ * Works out a member's metrics from their donations, campaigns, groups
+ * and posts, and awards every badge in config/badges.js they now
+ * qualify for. Routes call checkBadges() after the event that may have
+ * earned one; backfillBadges() runs the same rules over existing data.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Group = require('../models/Group');
+const Campaign = require('../models/Campaign');
+const { BADGES, HIGH_ENGAGEMENT } = require('../config/badges');
+
+// Same weights as trending (config/reactions.js)
+const ENGAGEMENT = Post.engagementExpression();
+
+// ===================
+// METRICS
+// Each source returns the metrics it can compute for one user
+// ===================
+
+const SOURCES = {
+  // As a donor
+  donations: async (userId) => {
+    const [totals] = await Campaign.aggregate([
+      { $match: { 'donations.donor': userId } },
+      { $unwind: '$donations' },
+      { $match: { 'donations.donor': userId, 'donations.status': 'completed' } },
+      { $group: { _id: null, count: { $sum: 1 }, total: { $sum: '$donations.amount' } } }
+    ]);
+    return {
+      donationCount: totals ? totals.count : 0,
+      totalDonated: totals ? totals.total : 0
+    };
+  },
+
+  // As an organizer
+  campaigns: async (userId) => ({
+    fundedCampaigns: await Campaign.countDocuments({
+      organizer: userId,
+      $expr: { $gte: ['$raised', '$goal'] }
+    })
+  }),
+
+  // As a group creator
+  groups: async (userId) => {
+    const [largest] = await Group.aggregate([
+      { $match: { creator: userId, isActive: true } },
+      { $project: { size: { $size: '$members' } } },
+      { $sort: { size: -1 } },
+      { $limit: 1 }
+    ]);
+    return { largestGroupSize: largest ? largest.size : 0 };
+  },
+
+  // As an author
+  posts: async (userId) => ({
+    engagingPosts: await Post.countDocuments({
+      author: userId,
+      isDeleted: false,
+      $expr: { $gte: [ENGAGEMENT, HIGH_ENGAGEMENT] }
+    })
+  })
+};
+
+const ALL_SOURCES = Object.keys(SOURCES);
+
+// ===================
+// AWARDING
+// ===================
+
+/**
+ * Award every badge the user now qualifies for.
+ * sources limits which metrics are recomputed (default: all).
+ * Returns the ids of newly awarded badges.
+ */
+const evaluateBadges = async (userId, sources = ALL_SOURCES) => {
+  const id = new mongoose.Types.ObjectId(String(userId));
+
+  const user = await User.findById(id).select('badges isActive');
+  if (!user || !user.isActive) return [];
+
+  const metrics = {};
+  for (const source of sources) {
+    Object.assign(metrics, await SOURCES[source](id));
+  }
+
+  const held = new Set(user.badges.map(b => b.badge));
+  const earned = BADGES.filter(badge =>
+    !held.has(badge.id) &&
+    metrics[badge.metric] !== undefined &&
+    metrics[badge.metric] >= badge.threshold
+  );
+
+  const awarded = [];
+  for (const badge of earned) {
+    // The filter keeps a badge from being awarded twice by concurrent checks
+    const result = await User.updateOne(
+      { _id: id, 'badges.badge': { $ne: badge.id } },
+      { $push: { badges: { badge: badge.id, awardedAt: new Date() } } }
+    );
+    if (result.modifiedCount) awarded.push(badge.id);
+  }
+
+  return awarded;
+};
+
+/**
+ * evaluateBadges() for use after an event: never fails the request
+ * that triggered it
+ */
+const checkBadges = async (userId, sources) => {
+  if (!userId) return [];
+  try {
+    return await evaluateBadges(userId, sources);
+  } catch (error) {
+    console.error('Failed to check badges:', error);
+    return [];
+  }
+};
+
+/**
+ * After a reaction, comment or share: only a post that has reached high
+ * engagement can earn its author a badge
+ */
+const checkPostBadges = async (post) => {
+  if (post.engagementScore() < HIGH_ENGAGEMENT) return [];
+  return checkBadges(post.author._id || post.author, ['posts']);
+};
+
+/**
+ * Evaluate every active member against every badge (existing data,
+ * or after adding a badge). Returns { users, awarded }.
+ */
+const backfillBadges = async ({ onProgress } = {}) => {
+  let users = 0;
+  let awarded = 0;
+
+  const cursor = User.find({ isActive: true }).select('_id').lean().cursor();
+  for await (const user of cursor) {
+    awarded += (await evaluateBadges(user._id)).length;
+    users++;
+    if (onProgress && users % 500 === 0) onProgress({ users, awarded });
+  }
+
+  return { users, awarded };
+};
+
+module.exports = {
+  evaluateBadges,
+  checkBadges,
+  checkPostBadges,
+  backfillBadges
+};
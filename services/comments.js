@@ -0,0 +1,234 @@
+/**
+ * Comment Service
+ * Creating, removing and listing threaded comments. Everything that
+ * changes a thread goes through here so Post.commentCount and each
+ * comment's replyCount stay in step with the Comment collection.
+ */
+
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const {
+  MAX_DEPTH,
+  PREVIEW_SIZE,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE
+} = require('../config/comments');
+
+const AUTHOR_FIELDS = 'name avatar role';
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// ===================
+// WRITING
+// ===================
+
+/**
+ * Add a comment to a post, or a reply when parentId is given.
+ * Throws a 400/404 error (with .status) for a bad parent.
+ */
+const addComment = async (post, authorId, content, parentId = null) => {
+  let parent = null;
+
+  if (parentId) {
+    parent = await Comment.findOne({ _id: parentId, post: post._id });
+    if (!parent) {
+      throw httpError(404, 'Comment not found');
+    }
+    if (parent.isDeleted) {
+      throw httpError(400, 'Cannot reply to a deleted comment');
+    }
+    if (parent.depth >= MAX_DEPTH) {
+      throw httpError(400, `Replies can only be nested ${MAX_DEPTH} levels deep`);
+    }
+  }
+
+  const comment = await Comment.create({
+    post: post._id,
+    parent: parent ? parent._id : null,
+    depth: parent ? parent.depth + 1 : 0,
+    author: authorId,
+    content
+  });
+
+  await Promise.all([
+    parent && Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } }),
+    Post.updateOne({ _id: post._id }, { $inc: { commentCount: 1 } })
+  ]);
+  post.commentCount = (post.commentCount || 0) + 1;
+
+  await comment.populate('author', AUTHOR_FIELDS);
+  return comment;
+};
+
+/**
+ * Remove a comment. One with replies becomes a tombstone so its thread
+ * stays readable; one without is deleted outright, along with any
+ * tombstone above it that it was keeping alive.
+ * Returns { tombstone, commentCount }.
+ */
+const removeComment = async (comment) => {
+  const wasLive = !comment.isDeleted;
+  let tombstone = false;
+
+  if (comment.replyCount > 0) {
+    if (wasLive) {
+      await Comment.updateOne(
+        { _id: comment._id },
+        { $set: { isDeleted: true, deletedAt: new Date(), likes: [], likeCount: 0 }, $unset: { content: 1 } }
+      );
+    }
+    tombstone = true;
+  } else {
+    await Comment.deleteOne({ _id: comment._id });
+
+    // Walk up: a tombstone whose last reply just went has nothing left to hold
+    let parentId = comment.parent;
+    while (parentId) {
+      const parent = await Comment.findOneAndUpdate(
+        { _id: parentId, replyCount: { $gt: 0 } },
+        { $inc: { replyCount: -1 } },
+        { new: true }
+      );
+      if (!parent || !parent.isDeleted || parent.replyCount > 0) break;
+      await Comment.deleteOne({ _id: parent._id });
+      parentId = parent.parent;
+    }
+  }
+
+  if (wasLive) {
+    await Post.updateOne(
+      { _id: comment.post, commentCount: { $gt: 0 } },
+      { $inc: { commentCount: -1 } }
+    );
+  }
+
+  const post = await Post.findById(comment.post).select('commentCount');
+  return { tombstone, commentCount: post ? post.commentCount : 0 };
+};
+
+/**
+ * Like a comment, or take the like back if the user already liked it.
+ * Returns { liked, likeCount }.
+ */
+const toggleLike = async (comment, userId) => {
+  const liked = !comment.isLikedBy(userId);
+
+  // The filters keep concurrent toggles from counting a like twice
+  const updated = await Comment.findOneAndUpdate(
+    liked
+      ? { _id: comment._id, likes: { $ne: userId } }
+      : { _id: comment._id, likes: userId },
+    liked
+      ? { $push: { likes: userId }, $inc: { likeCount: 1 } }
+      : { $pull: { likes: userId }, $inc: { likeCount: -1 } },
+    { new: true }
+  );
+
+  return { liked, likeCount: (updated || comment).likeCount };
+};
+
+// ===================
+// READING
+// ===================
+
+/**
+ * Cursor for the next page: the last _id, or likeCount_id for 'top'
+ */
+const encodeCursor = (comment, sort) =>
+  sort === 'top' ? `${comment.likeCount}_${comment._id}` : String(comment._id);
+
+const decodeCursor = (cursor, sort) => {
+  if (!cursor) return null;
+
+  if (sort === 'top') {
+    const [likeCount, id] = String(cursor).split('_');
+    if (!/^\d+$/.test(likeCount) || !mongoose.Types.ObjectId.isValid(id)) return null;
+    const _id = new mongoose.Types.ObjectId(id);
+    const likes = parseInt(likeCount, 10);
+    return {
+      $or: [
+        { likeCount: { $lt: likes } },
+        { likeCount: likes, _id: { $lt: _id } }
+      ]
+    };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(cursor)) return null;
+  const _id = new mongoose.Types.ObjectId(String(cursor));
+  return { _id: sort === 'oldest' ? { $gt: _id } : { $lt: _id } };
+};
+
+const SORT_ORDER = {
+  newest: { _id: -1 },
+  oldest: { _id: 1 },
+  top: { likeCount: -1, _id: -1 }
+};
+
+/**
+ * One page of a post's top-level comments, or of the direct replies to
+ * parent. Comments by authors the viewer blocked or muted are left out.
+ * Returns { comments, nextCursor }.
+ */
+const listComments = async (postId, {
+  parent = null,
+  sort = 'newest',
+  cursor,
+  limit = DEFAULT_PAGE_SIZE,
+  viewerId = null
+} = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const hiddenIds = await User.getHiddenUserIds(viewerId);
+
+  const query = {
+    post: postId,
+    parent,
+    author: { $nin: hiddenIds },
+    ...decodeCursor(cursor, sort)
+  };
+
+  const comments = await Comment.find(query)
+    .sort(SORT_ORDER[sort] || SORT_ORDER.newest)
+    .limit(pageSize + 1)
+    .populate('author', AUTHOR_FIELDS);
+
+  const hasMore = comments.length > pageSize;
+  const page = hasMore ? comments.slice(0, pageSize) : comments;
+
+  return {
+    comments: page.map(c => c.toCommentItem(viewerId)),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null
+  };
+};
+
+/**
+ * Latest top-level comments of a post, for feed previews.
+ * Pass hiddenIds when building many previews for the same viewer.
+ */
+const getPreview = async (postId, viewerId = null, hiddenIds = null) => {
+  const hidden = hiddenIds || await User.getHiddenUserIds(viewerId);
+  const comments = await Comment.find({
+    post: postId,
+    parent: null,
+    isDeleted: false,
+    author: { $nin: hidden }
+  })
+    .sort({ _id: -1 })
+    .limit(PREVIEW_SIZE)
+    .populate('author', AUTHOR_FIELDS);
+
+  return comments.map(c => c.toCommentItem(viewerId));
+};
+
+module.exports = {
+  addComment,
+  removeComment,
+  toggleLike,
+  listComments,
+  getPreview
+};
@@ -0,0 +1,35 @@
+/**
+ * Feed Service
+ * Turns posts into API feed items with what depends on the viewer:
+ * their comment previews and their own reaction.
+ */
+
+const User = require('../models/User');
+const Reaction = require('../models/Reaction');
+const { getPreview } = require('./comments');
+
+/**
+ * Feed items for a list of posts
+ */
+const toFeedItems = async (posts, viewerId = null) => {
+  const hiddenIds = await User.getHiddenUserIds(viewerId);
+  const [previews, viewerReactions] = await Promise.all([
+    Promise.all(posts.map(post => getPreview(post._id, viewerId, hiddenIds))),
+    Reaction.getViewerReactions(posts.map(post => post._id), viewerId)
+  ]);
+
+  return posts.map((post, i) => post.toFeedItem(viewerId, {
+    commentPreview: previews[i],
+    viewerReaction: viewerReactions.get(post._id.toString()) || null
+  }));
+};
+
+/**
+ * Feed item for a single post
+ */
+const toFeedItem = async (post, viewerId = null) => (await toFeedItems([post], viewerId))[0];
+
+module.exports = {
+  toFeedItems,
+  toFeedItem
+};
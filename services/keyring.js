@@ -0,0 +1,265 @@
+/**
+ * Keyring Service
+ * Signs and verifies our JWTs with rotating asymmetric keys (RS256 or
+ * ES256). Keys are cached in memory so signing stays synchronous;
+ * maintainKeyring() reloads them and rotates on schedule.
+ *
+ * Lifecycle of a key:
+ *   published  - in the JWKS, not signing yet (gives other instances and
+ *                services time to pick it up)
+ *   signing    - newest key whose activatesAt has passed
+ *   retired    - verifies only, until the longest-lived token it signed
+ *                has expired; then MongoDB removes it
+ *
+ * Settings:
+ *   JWT_ALGORITHM           RS256 (default) or ES256
+ *   JWT_KEY_ROTATION_DAYS   days between rotations (default 30)
+ *   JWT_ISSUER              iss claim (default "wef-api")
+ *   JWT_EXPIRES_IN          access token lifetime (default 7d)
+ *   KEYRING_ENCRYPTION_KEY  encrypts private keys at rest (recommended)
+ *   JWT_SECRET              only to keep accepting HS256 tokens issued
+ *                           before the keyring; never used to sign
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const ms = require('ms');
+const SigningKey = require('../models/SigningKey');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const ALGORITHM = process.env.JWT_ALGORITHM === 'ES256' ? 'ES256' : 'RS256';
+const ROTATION_DAYS = parseInt(process.env.JWT_KEY_ROTATION_DAYS) || 30;
+const ISSUER = process.env.JWT_ISSUER || 'wef-api';
+const PUBLISH_LEAD_MS = 60 * 60 * 1000;
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '7d';
+const REFRESH_TOKEN_TTL = '30d';
+// A retired key must outlive the longest-lived token it signed; one more day covers clock skew
+const VERIFY_GRACE_MS = Math.max(ms(ACCESS_TOKEN_TTL) || 0, ms(REFRESH_TOKEN_TTL)) + DAY;
+// Don't reload more often than this when an unknown kid shows up
+const MIN_RELOAD_INTERVAL_MS = 30 * 1000;
+
+let keys = [];
+let loadedAt = 0;
+
+// ===================
+// PRIVATE KEY ENCRYPTION
+// ===================
+
+const encryptionKey = () => (process.env.KEYRING_ENCRYPTION_KEY
+  ? crypto.createHash('sha256').update(process.env.KEYRING_ENCRYPTION_KEY).digest()
+  : null);
+
+const encryptPrivateKey = (pem) => {
+  const key = encryptionKey();
+  if (!key) return { privateKey: pem, privateKeyEncrypted: false };
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+
+  return {
+    privateKey: [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join('.'),
+    privateKeyEncrypted: true
+  };
+};
+
+const decryptPrivateKey = (doc) => {
+  if (!doc.privateKeyEncrypted) return doc.privateKey;
+
+  const key = encryptionKey();
+  if (!key) throw new Error(`Signing key ${doc.kid} is encrypted but KEYRING_ENCRYPTION_KEY is not set`);
+
+  const [iv, tag, data] = doc.privateKey.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+// ===================
+// KEY MANAGEMENT
+// ===================
+
+const generateKeyPair = (algorithm) => crypto.generateKeyPairSync(
+  algorithm === 'ES256' ? 'ec' : 'rsa',
+  {
+    ...(algorithm === 'ES256' ? { namedCurve: 'P-256' } : { modulusLength: 2048 }),
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  }
+);
+
+/**
+ * Load every key that may still verify tokens into memory
+ */
+const loadKeys = async () => {
+  const now = new Date();
+  const docs = await SigningKey.find({
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  }).select('+privateKey');
+
+  keys = docs.map(doc => ({
+    kid: doc.kid,
+    algorithm: doc.algorithm,
+    publicKey: crypto.createPublicKey(doc.publicKey),
+    privateKey: crypto.createPrivateKey(decryptPrivateKey(doc)),
+    activatesAt: doc.activatesAt,
+    retiredAt: doc.retiredAt,
+    expiresAt: doc.expiresAt
+  }));
+  loadedAt = Date.now();
+
+  return keys.length;
+};
+
+/**
+ * Create a new key and retire the current ones when it takes over.
+ * immediate = sign with it right away (bootstrap, or after a leak)
+ */
+const rotateKeys = async ({ immediate = false } = {}) => {
+  const activatesAt = new Date(Date.now() + (immediate ? 0 : PUBLISH_LEAD_MS));
+  const { publicKey, privateKey } = generateKeyPair(ALGORITHM);
+
+  // Only retire what was current before this key existed: a key created
+  // by a concurrent rotation on another instance must keep signing
+  const previousIds = await SigningKey.find({ retiredAt: null, revokedAt: null }).distinct('_id');
+
+  const key = await SigningKey.create({
+    kid: `${activatesAt.toISOString().slice(0, 10)}-${crypto.randomBytes(4).toString('hex')}`,
+    algorithm: ALGORITHM,
+    publicKey,
+    ...encryptPrivateKey(privateKey),
+    activatesAt
+  });
+
+  await SigningKey.updateMany(
+    { _id: { $in: previousIds }, retiredAt: null, revokedAt: null },
+    { $set: { retiredAt: activatesAt, expiresAt: new Date(activatesAt.getTime() + VERIFY_GRACE_MS) } }
+  );
+
+  await loadKeys();
+  console.log(`🔑 New signing key ${key.kid} (${ALGORITHM}), signing from ${activatesAt.toISOString()}`);
+
+  return key;
+};
+
+/**
+ * Stop trusting a key at once. Every token it signed stops working.
+ */
+const revokeKey = async (kid) => {
+  const result = await SigningKey.updateOne(
+    { kid, revokedAt: null },
+    { $set: { revokedAt: new Date(), retiredAt: new Date(), expiresAt: new Date(Date.now() + DAY) } }
+  );
+  await loadKeys();
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Scheduled job: reload keys, create the first one, rotate when due
+ */
+const maintainKeyring = async () => {
+  await loadKeys();
+
+  const current = keys
+    .filter(k => !k.retiredAt)
+    .sort((a, b) => b.activatesAt - a.activatesAt)[0];
+
+  if (!current) {
+    await rotateKeys({ immediate: true });
+  } else if (Date.now() - current.activatesAt.getTime() > ROTATION_DAYS * DAY) {
+    await rotateKeys();
+  }
+};
+
+// ===================
+// SIGN / VERIFY
+// ===================
+
+const getSigningKey = () => {
+  const now = Date.now();
+  const key = keys
+    .filter(k => k.activatesAt.getTime() <= now && (!k.retiredAt || k.retiredAt.getTime() > now))
+    .sort((a, b) => b.activatesAt - a.activatesAt)[0];
+
+  if (!key) {
+    const error = new Error('No signing key available yet. Is the database connected?');
+    error.status = 503;
+    throw error;
+  }
+  return key;
+};
+
+/**
+ * Sign a JWT with the current key (kid in the header)
+ */
+const sign = (payload, options = {}) => {
+  const key = getSigningKey();
+
+  return jwt.sign(payload, key.privateKey, {
+    ...options,
+    algorithm: key.algorithm,
+    keyid: key.kid,
+    issuer: ISSUER
+  });
+};
+
+/**
+ * Verify a JWT signed by any key still in the keyring.
+ * Throws the usual jsonwebtoken errors.
+ */
+const verify = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) throw new jwt.JsonWebTokenError('jwt malformed');
+
+  const { kid, alg } = decoded.header;
+
+  // Issued with the old shared secret, before the keyring
+  if (!kid) {
+    if (alg === 'HS256' && process.env.JWT_SECRET) {
+      return jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+    }
+    throw new jwt.JsonWebTokenError('invalid signature');
+  }
+
+  const key = keys.find(k => k.kid === kid);
+  if (!key) {
+    // Another instance may have rotated; pick it up for the next request
+    if (Date.now() - loadedAt > MIN_RELOAD_INTERVAL_MS) {
+      loadedAt = Date.now();
+      loadKeys().catch(error => console.error('Keyring reload error:', error));
+    }
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  return jwt.verify(token, key.publicKey, {
+    algorithms: [key.algorithm],
+    issuer: ISSUER
+  });
+};
+
+/**
+ * Public keys for /.well-known/jwks.json (published keys included)
+ */
+const getJwks = () => ({
+  keys: keys.map(k => ({
+    ...k.publicKey.export({ format: 'jwk' }),
+    kid: k.kid,
+    alg: k.algorithm,
+    use: 'sig'
+  }))
+});
+
+module.exports = {
+  ISSUER,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  loadKeys,
+  rotateKeys,
+  revokeKey,
+  maintainKeyring,
+  sign,
+  verify,
+  getJwks
+};
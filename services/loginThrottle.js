@@ -0,0 +1,197 @@
+/**
+ * Login Throttle
+ * Tracks failed login / password reset attempts per account and per IP,
+ * and how often sign-in links are requested.
+ * After a few free attempts each failure doubles the wait before the
+ * next try; too many failures lock the key for a while.
+ *
+ * LOGIN_THROTTLE_STORE selects the counter store:
+ *   mongo  - shared across server instances (default)
+ *   memory - single process, for tests
+ */
+
+const User = require('../models/User');
+const { sendMail, frontendUrl } = require('./mail');
+const { MongoAttemptStore, MemoryAttemptStore } = require('./attemptStore');
+
+const WINDOW_MS = 15 * 60 * 1000;   // Failures are forgotten after 15 minutes
+const MAX_DELAY_MS = 30 * 1000;
+
+const POLICIES = {
+  account: { freeAttempts: 3, lockAfter: 10, lockMs: 15 * 60 * 1000 },
+  // Higher limits - many users can share one IP (offices, NAT)
+  ip: { freeAttempts: 10, lockAfter: 50, lockMs: 15 * 60 * 1000 },
+  // Sign-in link emails per address: every request counts, not just failures
+  magicLink: { freeAttempts: 3, lockAfter: 5, lockMs: 60 * 60 * 1000 }
+};
+
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    store = process.env.LOGIN_THROTTLE_STORE === 'memory'
+      ? new MemoryAttemptStore()
+      : new MongoAttemptStore();
+  }
+  return store;
+};
+
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Default lock handler: tell the account owner by email
+ */
+let lockHandler = async ({ email, lockedUntil }) => {
+  const user = await User.findOne({ email });
+  if (!user) return;
+
+  await sendMail('accountLocked', user.email, {
+    name: user.name,
+    lockedUntil,
+    resetUrl: frontendUrl('/forgot-password')
+  });
+};
+
+/**
+ * Replace what happens when an account gets locked
+ * (e.g. push an in-app notification, or a no-op in tests)
+ */
+const setLockHandler = (handler) => {
+  lockHandler = handler;
+};
+
+const delayFor = (count, policy) => {
+  if (count <= policy.freeAttempts) return 0;
+  return Math.min(1000 * 2 ** (count - policy.freeAttempts - 1), MAX_DELAY_MS);
+};
+
+/**
+ * Targets for POST /api/auth/login
+ */
+const loginTargets = (email, ip) => [
+  { key: `login:account:${email}`, policy: 'account', email },
+  { key: `login:ip:${ip}`, policy: 'ip' }
+];
+
+/**
+ * Targets for POST /api/auth/reset-password
+ * (the account is unknown until the token matches, so only the IP counts)
+ */
+const passwordResetTargets = (ip) => [
+  { key: `reset:ip:${ip}`, policy: 'ip' }
+];
+
+/**
+ * Targets for POST /api/auth/magic-link (counted on every request,
+ * whether or not the account exists, so the limit reveals nothing)
+ */
+const magicLinkTargets = (email, ip) => [
+  { key: `magic:account:${email}`, policy: 'magicLink' },
+  { key: `magic:ip:${ip}`, policy: 'ip' }
+];
+
+/**
+ * Targets for POST /api/auth/magic-link/verify
+ */
+const magicLinkVerifyTargets = (ip) => [
+  { key: `magic-verify:ip:${ip}`, policy: 'ip' }
+];
+
+/**
+ * Targets for 2FA codes entered while signed in (disabling 2FA,
+ * regenerating recovery codes), so a stolen access token can't be
+ * used to guess them
+ */
+const twoFactorTargets = (userId) => [
+  { key: `2fa:account:${userId}`, policy: 'account' }
+];
+
+/**
+ * Check whether another attempt is allowed right now.
+ * Returns { allowed, locked, retryAfter } with retryAfter in seconds.
+ */
+const checkAttempts = async (targets) => {
+  const now = Date.now();
+  let result = { allowed: true, locked: false, retryAfter: 0 };
+
+  for (const target of targets) {
+    const state = await getStore().get(target.key);
+    if (!state) continue;
+
+    if (state.lockedUntil && state.lockedUntil.getTime() > now) {
+      const retryAfter = Math.ceil((state.lockedUntil.getTime() - now) / 1000);
+      if (retryAfter > result.retryAfter) {
+        result = { allowed: false, locked: true, retryAfter };
+      }
+      continue;
+    }
+
+    const nextAllowed = state.lastFailedAt
+      ? state.lastFailedAt.getTime() + delayFor(state.count, POLICIES[target.policy])
+      : 0;
+
+    if (nextAllowed > now) {
+      const retryAfter = Math.ceil((nextAllowed - now) / 1000);
+      if (retryAfter > result.retryAfter) {
+        result = { allowed: false, locked: result.locked, retryAfter };
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Record a failed attempt against every target, locking any that
+ * crossed their threshold
+ */
+const recordFailure = async (targets) => {
+  for (const target of targets) {
+    const policy = POLICIES[target.policy];
+    const state = await getStore().increment(target.key, WINDOW_MS);
+
+    const alreadyLocked = state.lockedUntil && state.lockedUntil > new Date();
+    if (state.count < policy.lockAfter || alreadyLocked) continue;
+
+    const lockedUntil = new Date(Date.now() + policy.lockMs);
+    await getStore().lock(target.key, lockedUntil);
+    console.warn(`Login throttle: locked ${target.key} until ${lockedUntil.toISOString()}`);
+
+    if (target.email) {
+      try {
+        await lockHandler({ email: target.email, lockedUntil });
+      } catch (error) {
+        console.error('Account lock handler error:', error);
+      }
+    }
+  }
+};
+
+/**
+ * Forget failures after a successful attempt.
+ * Only account counters are cleared - one good login from an IP
+ * shouldn't reset what other accounts saw from it.
+ */
+const clearAttempts = async (targets) => {
+  for (const target of targets) {
+    if (target.policy === 'account') {
+      await getStore().reset(target.key);
+    }
+  }
+};
+
+module.exports = {
+  loginTargets,
+  passwordResetTargets,
+  magicLinkTargets,
+  magicLinkVerifyTargets,
+  twoFactorTargets,
+  checkAttempts,
+  recordFailure,
+  clearAttempts,
+  getStore,
+  setStore,
+  setLockHandler
+};
@@ -0,0 +1,95 @@
+/**
+ * Mail Service
+ * Renders templates and hands them to the configured transport
+ *
+ * MAIL_TRANSPORT selects the transport:
+ *   smtp   - real delivery via SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ *   file   - writes messages to MAIL_OUTBOX_DIR (default: ./outbox)
+ *   memory - keeps messages in memory (tests)
+ */
+
+const path = require('path');
+const templates = require('./templates');
+const {
+  SmtpTransport,
+  FileOutboxTransport,
+  MemoryOutboxTransport
+} = require('./transports');
+
+let transport = null;
+
+const createTransport = () => {
+  const type = process.env.MAIL_TRANSPORT ||
+    (process.env.SMTP_HOST ? 'smtp' : 'file');
+
+  switch (type) {
+    case 'smtp':
+      return new SmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    case 'memory':
+      return new MemoryOutboxTransport();
+    case 'file':
+      return new FileOutboxTransport({
+        dir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'outbox')
+      });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${type}`);
+  }
+};
+
+/**
+ * Get the active transport (created on first use)
+ */
+const getTransport = () => {
+  if (!transport) transport = createTransport();
+  return transport;
+};
+
+/**
+ * Replace the active transport (e.g. with a MemoryOutboxTransport in tests)
+ */
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * Build an absolute link into the frontend
+ */
+const frontendUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.FRONTEND_URL || 'http://localhost:5000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+/**
+ * Render a template and send it
+ */
+const sendMail = async (templateName, to, data = {}) => {
+  const template = templates[templateName];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  const { subject, text, html } = template(data);
+
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'World Economic Federation <no-reply@wef.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport,
+  frontendUrl
+};
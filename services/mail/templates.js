@@ -0,0 +1,178 @@
+/**
+ * Email Templates
+ * Each template receives a data object and returns { subject, text, html }
+ */
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Shared HTML wrapper so every email looks the same
+const layout = (title, bodyHtml) => `
+<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; background: #F5F7FA; padding: 24px;">
+    <div style="max-width: 560px; margin: 0 auto; background: #FFFFFF; border-radius: 8px; padding: 32px;">
+      <h2 style="color: #0A1628; margin-top: 0;">${escapeHtml(title)}</h2>
+      ${bodyHtml}
+      <p style="color: #6B7280; font-size: 12px; margin-top: 32px;">World Economic Federation</p>
+    </div>
+  </body>
+</html>`;
+
+const button = (url, label) => `
+<p><a href="${escapeHtml(url)}" style="display: inline-block; background: #C9A227; color: #0A1628; padding: 12px 24px; border-radius: 4px; text-decoration: none; font-weight: bold;">${escapeHtml(label)}</a></p>`;
+
+const templates = {
+  verifyEmail: ({ name, url }) => ({
+    subject: 'Verify your email address',
+    text: `Hi ${name},\n\nPlease confirm your email address by opening the link below:\n\n${url}\n\nThis link expires in 24 hours.`,
+    html: layout('Verify your email address', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Please confirm your email address to unlock every feature of your account.</p>
+      ${button(url, 'Verify email')}
+      <p>This link expires in 24 hours.</p>`)
+  }),
+
+  passwordReset: ({ name, url }) => ({
+    subject: 'Reset your password',
+    text: `Hi ${name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${url}\n\nThis link expires in 10 minutes. If you didn't ask for this, you can ignore this email.`,
+    html: layout('Reset your password', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>We received a request to reset your password.</p>
+      ${button(url, 'Choose a new password')}
+      <p>This link expires in 10 minutes. If you didn't ask for this, you can ignore this email.</p>`)
+  }),
+
+  magicLink: ({ name, url }) => ({
+    subject: 'Your sign-in link',
+    text: `Hi ${name},\n\nOpen the link below to sign in. It works once and expires in 15 minutes:\n\n${url}\n\nIf you didn't ask for this, you can ignore this email.`,
+    html: layout('Your sign-in link', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Click the button below to sign in. No password needed.</p>
+      ${button(url, 'Sign in')}
+      <p>This link works once and expires in 15 minutes. If you didn't ask for this, you can ignore this email.</p>`)
+  }),
+
+  emailChangeConfirm: ({ name, newEmail, url }) => ({
+    subject: 'Confirm your new email address',
+    text: `Hi ${name},\n\nPlease confirm that ${newEmail} should become the email address of your account:\n\n${url}\n\nThis link expires in 24 hours. Confirming signs you out on every device.`,
+    html: layout('Confirm your new email address', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Please confirm that <strong>${escapeHtml(newEmail)}</strong> should become the email address of your account.</p>
+      ${button(url, 'Confirm new email')}
+      <p>This link expires in 24 hours. Confirming signs you out on every device.</p>`)
+  }),
+
+  emailChangeRequested: ({ name, newEmail, cancelUrl }) => ({
+    subject: 'Your email address is about to change',
+    text: `Hi ${name},\n\nSomeone asked to change the email address of your account to ${newEmail}. It changes once the new address is confirmed.\n\nIf this wasn't you, cancel it now. We'll also sign out every device:\n\n${cancelUrl}`,
+    html: layout('Your email address is about to change', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Someone asked to change the email address of your account to <strong>${escapeHtml(newEmail)}</strong>. It changes once the new address is confirmed.</p>
+      <p>If this wasn't you, cancel it now. We'll also sign out every device.</p>
+      ${button(cancelUrl, 'Cancel the change')}`)
+  }),
+
+  emailChanged: ({ name, newEmail }) => ({
+    subject: 'Your email address has been changed',
+    text: `Hi ${name},\n\nThe email address of your account is now ${newEmail}. This address will no longer receive account emails.\n\nIf this wasn't you, contact support straight away.`,
+    html: layout('Your email address has been changed', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>The email address of your account is now <strong>${escapeHtml(newEmail)}</strong>. This address will no longer receive account emails.</p>
+      <p>If this wasn't you, contact support straight away.</p>`)
+  }),
+
+  accountLocked: ({ name, lockedUntil, resetUrl }) => ({
+    subject: 'Your account has been temporarily locked',
+    text: `Hi ${name},\n\nWe saw too many failed sign-in attempts on your account, so we've locked it until ${lockedUntil.toUTCString()}.\n\nIf this wasn't you, we recommend resetting your password:\n\n${resetUrl}`,
+    html: layout('Your account has been temporarily locked', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>We saw too many failed sign-in attempts on your account, so we've locked it until <strong>${escapeHtml(lockedUntil.toUTCString())}</strong>.</p>
+      <p>If this wasn't you, we recommend resetting your password.</p>
+      ${button(resetUrl, 'Reset password')}`)
+  }),
+
+  accountDeletionConfirm: ({ name, url }) => ({
+    subject: 'Confirm your account deletion',
+    text: `Hi ${name},\n\nWe received a request to delete your account. Open the link below to confirm it:\n\n${url}\n\nThis link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+    html: layout('Confirm your account deletion', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>We received a request to delete your account.</p>
+      ${button(url, 'Delete my account')}
+      <p>This link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`)
+  }),
+
+  accountDeletionScheduled: ({ name, scheduledFor }) => ({
+    subject: 'Your account is scheduled for deletion',
+    text: `Hi ${name},\n\nYour account has been deactivated and will be permanently deleted on ${scheduledFor.toUTCString()}.\n\nChanged your mind? Just sign in before then and your account will be restored.`,
+    html: layout('Your account is scheduled for deletion', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Your account has been deactivated and will be permanently deleted on <strong>${escapeHtml(scheduledFor.toUTCString())}</strong>.</p>
+      <p>Changed your mind? Just sign in before then and your account will be restored.</p>`)
+  }),
+
+  identityLinked: ({ name, providerName }) => ({
+    subject: `${providerName} sign-in added to your account`,
+    text: `Hi ${name},\n\nYou can now sign in to your account with ${providerName}.\n\nIf this wasn't you, remove it from your account settings and change your password.`,
+    html: layout(`${providerName} sign-in added to your account`, `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>You can now sign in to your account with <strong>${escapeHtml(providerName)}</strong>.</p>
+      <p>If this wasn't you, remove it from your account settings and change your password.</p>`)
+  }),
+
+  verificationApproved: ({ name, category, url }) => ({
+    subject: 'Your profile is now verified',
+    text: `Hi ${name},\n\nGood news: we've verified your profile as ${category}. The verified badge now shows on your profile.\n\n${url}`,
+    html: layout('Your profile is now verified', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Good news: we've verified your profile as <strong>${escapeHtml(category)}</strong>. The verified badge now shows on your profile.</p>
+      ${button(url, 'View your profile')}`)
+  }),
+
+  verificationRejected: ({ name, reason }) => ({
+    subject: 'Your verification request',
+    text: `Hi ${name},\n\nWe couldn't verify your profile this time.\n\nReason: ${reason}\n\nYou're welcome to apply again with more supporting information.`,
+    html: layout('Your verification request', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>We couldn't verify your profile this time.</p>
+      <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>
+      <p>You're welcome to apply again with more supporting information.</p>`)
+  }),
+
+  verificationRevoked: ({ name, reason }) => ({
+    subject: 'Your profile is no longer verified',
+    text: `Hi ${name},\n\nWe've removed the verified badge from your profile.\n\nReason: ${reason}\n\nIf you think this is a mistake, contact support.`,
+    html: layout('Your profile is no longer verified', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>We've removed the verified badge from your profile.</p>
+      <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>
+      <p>If you think this is a mistake, contact support.</p>`)
+  }),
+
+  commentReply: ({ name, actorName, excerpt, url }) => ({
+    subject: `${actorName} replied to your comment`,
+    text: `Hi ${name},\n\n${actorName} replied to your comment:\n\n"${excerpt}"\n\n${url}\n\nYou can turn these emails off in your notification settings.`,
+    html: layout(`${actorName} replied to your comment`, `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p><strong>${escapeHtml(actorName)}</strong> replied to your comment:</p>
+      <blockquote>${escapeHtml(excerpt)}</blockquote>
+      ${button(url, 'View the conversation')}
+      <p>You can turn these emails off in your notification settings.</p>`)
+  }),
+
+  commentLiked: ({ name, actorName, excerpt, url }) => ({
+    subject: `${actorName} liked your comment`,
+    text: `Hi ${name},\n\n${actorName} liked your comment:\n\n"${excerpt}"\n\n${url}\n\nYou can turn these emails off in your notification settings.`,
+    html: layout(`${actorName} liked your comment`, `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p><strong>${escapeHtml(actorName)}</strong> liked your comment:</p>
+      <blockquote>${escapeHtml(excerpt)}</blockquote>
+      ${button(url, 'View the conversation')}
+      <p>You can turn these emails off in your notification settings.</p>`)
+  })
+};
+
+module.exports = templates;
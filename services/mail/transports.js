@@ -0,0 +1,79 @@
+/**
+ * Mail Transports
+ * Every transport exposes the same interface: async send(message)
+ * where message is { from, to, subject, text, html }
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * SMTP transport (production)
+ * Uses nodemailer under the hood
+ */
+class SmtpTransport {
+  constructor(options = {}) {
+    const nodemailer = require('nodemailer');
+
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port || 587,
+      secure: options.secure || false,
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+/**
+ * File outbox transport (development)
+ * Writes each message as a JSON file so it can be opened by hand
+ */
+class FileOutboxTransport {
+  constructor(options = {}) {
+    this.dir = options.dir;
+  }
+
+  async send(message) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(
+      path.join(this.dir, `${id}.json`),
+      JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2)
+    );
+
+    return { id };
+  }
+}
+
+/**
+ * In-memory outbox transport (tests)
+ * Messages are kept on the instance for assertions
+ */
+class MemoryOutboxTransport {
+  constructor() {
+    this.messages = [];
+  }
+
+  async send(message) {
+    const id = `${Date.now()}-${this.messages.length}`;
+    this.messages.push({ id, sentAt: new Date(), ...message });
+    return { id };
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+module.exports = {
+  SmtpTransport,
+  FileOutboxTransport,
+  MemoryOutboxTransport
+};
@@ -0,0 +1,74 @@
+/**
+ * Notification Service
+ * Tells members about things other members did: an in-app notification
+ * and/or an email, depending on their settings (config/settings.js).
+ * Nobody is notified about their own actions, or about members they
+ * blocked or muted.
+ */
+
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { sendMail, frontendUrl } = require('./mail');
+
+// Notification type -> settings event and email template
+const TYPES = {
+  comment_reply: { event: 'comments', template: 'commentReply' },
+  comment_like: { event: 'likes', template: 'commentLiked' }
+};
+
+// Types a member is told about once per actor and comment, however
+// often the actor toggles it
+const ONCE_PER_ACTOR = ['comment_like'];
+
+const EXCERPT_LENGTH = 140;
+
+const excerpt = (text = '') =>
+  text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text;
+
+/**
+ * Notify recipient that actor did something of the given type.
+ * comment is the comment concerned; its post is taken from it.
+ * Never fails the request that triggered it.
+ */
+const notify = async (recipientId, actor, type, comment) => {
+  if (!recipientId || recipientId.toString() === actor._id.toString()) return;
+
+  try {
+    const recipient = await User.findById(recipientId)
+      .select('name email isActive settings.notifications blockedUsers mutedUsers');
+    if (!recipient || !recipient.isActive) return;
+    if (recipient.hasBlocked(actor._id) || recipient.hasMuted(actor._id)) return;
+
+    const { event, template } = TYPES[type];
+    const fields = { recipient: recipient._id, actor: actor._id, type, comment: comment._id };
+    let isNew = true;
+
+    if (recipient.wantsNotification(event, 'inApp')) {
+      if (ONCE_PER_ACTOR.includes(type)) {
+        const result = await Notification.updateOne(
+          fields,
+          { $setOnInsert: { post: comment.post } },
+          { upsert: true }
+        );
+        isNew = result.upsertedCount > 0;
+      } else {
+        await Notification.create({ ...fields, post: comment.post });
+      }
+    }
+
+    if (isNew && recipient.wantsNotification(event, 'email')) {
+      await sendMail(template, recipient.email, {
+        name: recipient.name,
+        actorName: actor.name,
+        excerpt: excerpt(comment.content),
+        url: frontendUrl('/')
+      });
+    }
+  } catch (error) {
+    console.error(`Failed to send ${type} notification:`, error);
+  }
+};
+
+module.exports = {
+  notify
+};
@@ -0,0 +1,313 @@
+/**
+ * OpenID Connect Service
+ * Authorization code flow with PKCE against any discovery-based
+ * provider, ID token verification, and matching external identities
+ * to local accounts
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const OidcState = require('../models/OidcState');
+const Session = require('../models/Session');
+const { getProvider } = require('../config/oidcProviders');
+
+const STATE_TTL_MS = 10 * 60 * 1000; // 10 minutes to finish signing in
+const CACHE_TTL_MS = 60 * 60 * 1000; // discovery documents and JWKS
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const oidcError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// ===================
+// PROTOCOL
+// ===================
+
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...options.headers },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw oidcError(`Could not reach identity provider: ${error.message}`, 502);
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const reason = body && (body.error_description || body.error);
+    throw oidcError(`Identity provider rejected the request${reason ? `: ${reason}` : ''}`, 502);
+  }
+  return body;
+};
+
+/**
+ * Load (and cache) the provider's discovery document
+ */
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) return cached.config;
+
+  const config = await fetchJson(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  discoveryCache.set(provider.issuer, { config, fetchedAt: Date.now() });
+  return config;
+};
+
+/**
+ * Public key for an ID token's kid. The JWKS is refetched once when the
+ * kid is unknown, so provider key rotation is picked up.
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => (kid ? keys.find(k => k.kid === kid) : keys.length === 1 && keys[0]);
+
+  let cached = jwksCache.get(jwksUri);
+  let jwk = cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS && findKey(cached.keys);
+
+  if (!jwk) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) throw oidcError('ID token is signed with an unknown key', 401);
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Where the provider sends the user back to
+ */
+const callbackUrl = (providerId) => {
+  const base = process.env.OIDC_REDIRECT_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${base.replace(/\/$/, '')}/api/auth/oidc/${providerId}/callback`;
+};
+
+/**
+ * Only same-site paths are allowed as post-login destinations
+ */
+const safeRedirectPath = (path) => (
+  typeof path === 'string' && path.startsWith('/') && !path.startsWith('//') && !path.includes('\\')
+    ? path.slice(0, 500)
+    : '/'
+);
+
+/**
+ * Start a sign-in: store state/nonce/PKCE verifier and return the
+ * provider's authorization URL
+ */
+const beginAuthorization = async (providerId, { mode = 'login', userId = null, redirectTo } = {}) => {
+  const provider = getProvider(providerId);
+  if (!provider) throw oidcError('Unknown sign-in provider', 404);
+
+  const config = await discover(provider);
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+
+  await OidcState.create({
+    state,
+    provider: provider.id,
+    nonce,
+    codeVerifier,
+    mode,
+    user: userId,
+    redirectTo: safeRedirectPath(redirectTo),
+    expiresAt: new Date(Date.now() + STATE_TTL_MS)
+  });
+
+  const url = new URL(config.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: callbackUrl(provider.id),
+    scope: provider.scopes.join(' '),
+    state,
+    nonce,
+    code_challenge: sha256(codeVerifier).toString('base64url'),
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+/**
+ * Take the pending sign-in for a state value (single use)
+ */
+const consumeState = async (providerId, state) => {
+  if (!state) return null;
+
+  return OidcState.findOneAndDelete({
+    state,
+    provider: providerId,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+/**
+ * Check an ID token's signature, issuer, audience, expiry and nonce
+ */
+const verifyIdToken = async (provider, config, idToken, nonce) => {
+  const decoded = idToken && jwt.decode(idToken, { complete: true });
+  if (!decoded) throw oidcError('Identity provider did not return a valid ID token', 401);
+
+  const key = await getSigningKey(config.jwks_uri, decoded.header.kid);
+
+  // Multi-tenant issuers (Microsoft) publish a template
+  const issuer = config.issuer.replace('{tenantid}', decoded.payload.tid || '');
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      audience: provider.clientId,
+      issuer,
+      clockTolerance: 60
+    });
+  } catch (error) {
+    throw oidcError(`ID token rejected: ${error.message}`, 401);
+  }
+
+  if (claims.nonce !== nonce) throw oidcError('ID token nonce mismatch', 401);
+  return claims;
+};
+
+/**
+ * Finish a sign-in: exchange the code (with the PKCE verifier) and
+ * return the verified identity
+ */
+const completeAuthorization = async (pending, code) => {
+  const provider = getProvider(pending.provider);
+  if (!provider) throw oidcError('Unknown sign-in provider', 404);
+  if (!code) throw oidcError('Missing authorization code');
+
+  const config = await discover(provider);
+
+  const tokens = await fetchJson(config.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: callbackUrl(provider.id),
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: pending.codeVerifier
+    }).toString()
+  });
+
+  const claims = await verifyIdToken(provider, config, tokens.id_token, pending.nonce);
+  const name = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ');
+
+  return {
+    provider: provider.id,
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: name || null,
+    picture: claims.picture || null
+  };
+};
+
+// ===================
+// ACCOUNTS
+// ===================
+
+/**
+ * Attach an identity to a user (fails if it belongs to someone else)
+ */
+const linkIdentity = async (user, identity) => {
+  const owner = await User.findOne({
+    identities: { $elemMatch: { provider: identity.provider, subject: identity.subject } }
+  }).select('_id');
+
+  if (owner && owner._id.toString() !== user._id.toString()) {
+    throw oidcError('This account is already linked to another user.', 409);
+  }
+  if (owner) return { user, linked: false };
+
+  if (user.getIdentity(identity.provider)) {
+    throw oidcError('Unlink your current account for this provider first.', 409);
+  }
+
+  user.identities.push({
+    provider: identity.provider,
+    subject: identity.subject,
+    email: identity.email
+  });
+  await user.save();
+
+  return { user, linked: true };
+};
+
+/**
+ * Find the user for a social login, linking by verified email or
+ * creating a new account when nobody matches
+ */
+const findOrCreateUser = async (identity) => {
+  const existing = await User.findOne({
+    identities: { $elemMatch: { provider: identity.provider, subject: identity.subject } }
+  });
+  if (existing) return { user: existing, created: false, linked: false };
+
+  if (!identity.email) {
+    throw oidcError('The provider did not share an email address.');
+  }
+
+  const byEmail = await User.findOne({ email: identity.email }).select('+password');
+
+  if (byEmail) {
+    if (!identity.emailVerified) {
+      throw oidcError('An account with this email already exists. Sign in with your password and link this provider from your settings.', 409);
+    }
+
+    // Someone may have registered this address without owning it.
+    // The provider has proven ownership, so that password stops working.
+    if (!byEmail.isEmailVerified) {
+      byEmail.password = undefined;
+      byEmail.isEmailVerified = true;
+      byEmail.emailVerifiedAt = new Date();
+      byEmail.emailVerificationToken = undefined;
+      byEmail.emailVerificationExpires = undefined;
+      await Session.revokeAllForUser(byEmail._id, 'signed_out');
+    }
+
+    const { user } = await linkIdentity(byEmail, identity);
+    return { user, created: false, linked: true };
+  }
+
+  const user = await User.create({
+    name: (identity.name || identity.email.split('@')[0]).slice(0, 100).padEnd(2, '_'),
+    email: identity.email,
+    avatar: identity.picture || undefined,
+    isEmailVerified: identity.emailVerified,
+    emailVerifiedAt: identity.emailVerified ? new Date() : null,
+    identities: [{
+      provider: identity.provider,
+      subject: identity.subject,
+      email: identity.email
+    }]
+  });
+
+  return { user, created: true, linked: true };
+};
+
+module.exports = {
+  beginAuthorization,
+  consumeState,
+  completeAuthorization,
+  linkIdentity,
+  findOrCreateUser,
+  safeRedirectPath
+};
@@ -0,0 +1,41 @@
+/**
+ * Security Event Service
+ * Records sign-ins and account security changes for the user's
+ * security log. Recording never fails the request it describes.
+ */
+
+const SecurityEvent = require('../models/SecurityEvent');
+
+/**
+ * Record one event for the current request.
+ * user defaults to the signed-in user; pass null for unknown accounts.
+ */
+const recordSecurityEvent = async (req, {
+  type,
+  outcome = 'success',
+  user = req.userId,
+  email,
+  reason,
+  session = req.sessionId,
+  details = {}
+}) => {
+  try {
+    await SecurityEvent.create({
+      user: user ? (user._id || user) : null,
+      email: email || (user && user.email) || undefined,
+      type,
+      outcome,
+      reason,
+      session: session || null,
+      details,
+      ip: req.ip,
+      userAgent: (req.get('user-agent') || '').slice(0, 500)
+    });
+  } catch (error) {
+    console.error(`Failed to record security event "${type}":`, error);
+  }
+};
+
+module.exports = {
+  recordSecurityEvent
+};
@@ -0,0 +1,172 @@
+/**
+ * Session Service
+ * Issues access/refresh token pairs backed by a Session document,
+ * rotates refresh tokens and detects refresh token reuse
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const {
+  generateToken,
+  generateRefreshToken,
+  generateImpersonationToken,
+  verifyToken
+} = require('../middleware/auth');
+
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days, sliding
+
+const hashTokenId = (tokenId) => crypto
+  .createHash('sha256')
+  .update(tokenId)
+  .digest('hex');
+
+// reason/userId/sessionId let callers log the failure
+const sessionError = (message, reason, decoded = {}) => {
+  const error = new Error(message);
+  error.status = 401;
+  error.reason = reason;
+  error.userId = decoded.userId || null;
+  error.sessionId = decoded.sid || null;
+  return error;
+};
+
+const deviceInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500),
+  ip: req.ip || ''
+});
+
+/**
+ * Start a new session for a user and return its token pair
+ */
+const createSession = async (user, req) => {
+  const tokenId = uuidv4();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashTokenId(tokenId),
+    ...deviceInfo(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return {
+    session,
+    token: generateToken(user._id, session._id),
+    refreshToken: generateRefreshToken(user._id, session._id, tokenId)
+  };
+};
+
+/**
+ * Start a session in which a staff member acts as a user.
+ * There is no refresh token: when it expires, staff start a new one.
+ */
+const createImpersonationSession = async (user, impersonator, req, ttlMinutes) => {
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  const session = await Session.create({
+    user: user._id,
+    // Random and never handed out, so the session can't be refreshed
+    tokenHash: hashTokenId(uuidv4()),
+    ...deviceInfo(req),
+    impersonator: impersonator._id,
+    expiresAt
+  });
+
+  return {
+    session,
+    token: generateImpersonationToken(user._id, session._id, impersonator._id, ttlMinutes * 60)
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * The presented token is invalidated; presenting it again revokes
+ * the whole session (token family).
+ */
+const rotateSession = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = verifyToken(refreshToken);
+  } catch (error) {
+    throw sessionError('Invalid or expired refresh token', 'invalid_token');
+  }
+
+  if (decoded.type !== 'refresh' || !decoded.sid || !decoded.jti) {
+    throw sessionError('Invalid refresh token', 'invalid_token', decoded);
+  }
+
+  const nextTokenId = uuidv4();
+
+  // Only succeeds if this is the current token of a live session,
+  // so two concurrent refreshes can't both win
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: decoded.sid,
+      tokenHash: hashTokenId(decoded.jti),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        tokenHash: hashTokenId(nextTokenId),
+        ...deviceInfo(req),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(decoded.sid);
+
+    if (existing && existing.isActive) {
+      // A token that was already rotated has been replayed
+      existing.revokedAt = new Date();
+      existing.revokedReason = 'reuse_detected';
+      await existing.save();
+      console.warn(`Refresh token reuse detected for session ${existing._id} (user ${existing.user})`);
+      throw sessionError('Refresh token has already been used. Please sign in again.', 'reuse_detected', decoded);
+    }
+
+    throw sessionError('Session has expired or been revoked', 'session_revoked', decoded);
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive) {
+    throw sessionError('User not found or inactive', 'deactivated', decoded);
+  }
+
+  return {
+    session,
+    user,
+    token: generateToken(user._id, session._id),
+    refreshToken: generateRefreshToken(user._id, session._id, nextTokenId)
+  };
+};
+
+/**
+ * Revoke a single session
+ */
+const revokeSession = async (sessionId, reason = 'logout') => {
+  return Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * Revoke every session of a user, optionally keeping one
+ */
+const revokeAllSessions = async (userId, reason, exceptSessionId = null) => {
+  return Session.revokeAllForUser(userId, reason, exceptSessionId);
+};
+
+module.exports = {
+  createSession,
+  createImpersonationSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+};
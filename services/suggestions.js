@@ -0,0 +1,257 @@
+/**
+ * Follow Suggestions Service
+ * Ranks "people you may know" from four signals:
+ *   mutual_follows    people followed by people you follow
+ *   shared_groups     members of your groups
+ *   shared_campaigns  followers of the campaigns you follow
+ *   same_location     same profile location
+ * Lists are cached per user (models/FollowSuggestion.js); every read
+ * drops people you have since followed, blocked or dismissed.
+ * Each signal reads a bounded slice of the graph, so the cost stays
+ * flat for users who follow or belong to a lot.
+ */
+
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Campaign = require('../models/Campaign');
+const FollowSuggestion = require('../models/FollowSuggestion');
+
+const CACHE_TTL_MS = (parseInt(process.env.SUGGESTIONS_CACHE_HOURS) || 6) * 60 * 60 * 1000;
+const MAX_CACHED = 50;
+
+// Graph slices read per signal
+const MAX_SEED_FOLLOWING = 200;   // most recent follows whose own follows we read
+const MAX_SEED_EDGES = 20000;     // follows read across all of those people
+const MAX_FANOUT = 500;           // followers read per campaign
+const MAX_SEED_GROUPS = 50;
+const MAX_SEED_CAMPAIGNS = 50;
+const CANDIDATES_PER_SIGNAL = 200;
+
+const WEIGHTS = {
+  mutual_follows: 3,
+  shared_groups: 2,
+  shared_campaigns: 1,
+  same_location: 1,
+  popular: 0.1
+};
+
+// Most-followed members, for users with nothing to go on yet
+const POPULAR_TTL_MS = 60 * 60 * 1000;
+let popularCache = { ids: [], loadedAt: 0 };
+
+// ===================
+// SIGNALS
+// Each returns [{ _id, count }]
+// ===================
+
+const mutualFollows = async (user, exclude) => {
+  const following = await Follow.getFollowingIds(user._id, MAX_SEED_FOLLOWING);
+  const seeds = await User.find({ _id: { $in: following }, isActive: true }).distinct('_id');
+  if (!seeds.length) return [];
+
+  return Follow.aggregate([
+    { $match: { follower: { $in: seeds }, following: { $nin: exclude } } },
+    { $sort: { _id: -1 } },
+    { $limit: MAX_SEED_EDGES },
+    { $group: { _id: '$following', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: CANDIDATES_PER_SIGNAL }
+  ]);
+};
+
+const sharedGroups = (user, exclude) => {
+  const groups = (user.groups || []).slice(-MAX_SEED_GROUPS);
+  if (!groups.length) return [];
+
+  return User.aggregate([
+    { $match: { groups: { $in: groups }, isActive: true, _id: { $nin: exclude } } },
+    { $limit: CANDIDATES_PER_SIGNAL * 5 },
+    { $project: { count: { $size: { $setIntersection: ['$groups', groups] } } } },
+    { $sort: { count: -1 } },
+    { $limit: CANDIDATES_PER_SIGNAL }
+  ]);
+};
+
+const sharedCampaigns = async (user, exclude) => {
+  const campaigns = (await Campaign.find({ followers: user._id })
+    .sort({ createdAt: -1 })
+    .limit(MAX_SEED_CAMPAIGNS)
+    .select('_id'))
+    .map(c => c._id);
+  if (!campaigns.length) return [];
+
+  return Campaign.aggregate([
+    { $match: { _id: { $in: campaigns } } },
+    { $project: { followers: { $slice: ['$followers', -MAX_FANOUT] } } },
+    { $unwind: '$followers' },
+    { $group: { _id: '$followers', count: { $sum: 1 } } },
+    { $match: { _id: { $nin: exclude } } },
+    { $sort: { count: -1 } },
+    { $limit: CANDIDATES_PER_SIGNAL }
+  ]);
+};
+
+const sameLocation = async (user, exclude) => {
+  const location = (user.location || '').trim();
+  if (!location) return [];
+
+  const users = await User.find({ location, isActive: true, _id: { $nin: exclude } })
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATES_PER_SIGNAL)
+    .select('_id');
+  return users.map(u => ({ _id: u._id, count: 1 }));
+};
+
+const popular = async (exclude) => {
+  if (Date.now() - popularCache.loadedAt > POPULAR_TTL_MS) {
+    const top = await User.find({ isActive: true, followerCount: { $gt: 0 } })
+      .sort({ followerCount: -1 })
+      .limit(MAX_CACHED * 2)
+      .select('followerCount');
+    popularCache = {
+      ids: top.map(u => ({ _id: u._id, count: u.followerCount })),
+      loadedAt: Date.now()
+    };
+  }
+
+  const excluded = new Set(exclude.map(id => id.toString()));
+  return popularCache.ids.filter(p => !excluded.has(p._id.toString()));
+};
+
+// ===================
+// RANKING
+// ===================
+
+/**
+ * Everyone who must never be suggested to this user right now
+ */
+const getExcludedIds = async (user) => {
+  const [following, hidden, requested] = await Promise.all([
+    Follow.find({ follower: user._id }).distinct('following'),
+    User.getHiddenUserIds(user._id),
+    User.find({ 'followRequests.user': user._id }).distinct('_id')
+  ]);
+
+  return [
+    user._id,
+    ...following,
+    ...(user.dismissedSuggestions || []),
+    ...hidden,
+    ...requested
+  ];
+};
+
+/**
+ * Score every candidate from all signals, best first
+ */
+const computeSuggestions = async (user) => {
+  const exclude = await getExcludedIds(user);
+
+  const signals = {
+    mutual_follows: await mutualFollows(user, exclude),
+    shared_groups: await sharedGroups(user, exclude),
+    shared_campaigns: await sharedCampaigns(user, exclude),
+    same_location: await sameLocation(user, exclude)
+  };
+
+  const found = Object.values(signals).reduce((n, list) => n + list.length, 0);
+  if (found < MAX_CACHED) {
+    signals.popular = await popular(exclude);
+  }
+
+  const candidates = new Map();
+  for (const [type, list] of Object.entries(signals)) {
+    for (const { _id, count } of list) {
+      const key = _id.toString();
+      const candidate = candidates.get(key) || { user: _id, score: 0, reasons: [] };
+      candidate.score += WEIGHTS[type] * count;
+      candidate.reasons.push({ type, count });
+      candidates.set(key, candidate);
+    }
+  }
+
+  return [...candidates.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CACHED);
+};
+
+// ===================
+// PUBLIC API
+// ===================
+
+/**
+ * Suggestions for a user, from the cache when it is fresh
+ * refresh = rebuild the list now
+ */
+const getSuggestions = async (userId, { limit = 10, refresh = false } = {}) => {
+  const user = await User.findById(userId)
+    .select('groups location blockedUsers mutedUsers dismissedSuggestions');
+  if (!user) return [];
+
+  let cached = refresh ? null : await FollowSuggestion.findOne({
+    user: user._id,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!cached) {
+    const candidates = await computeSuggestions(user);
+    cached = await FollowSuggestion.findOneAndUpdate(
+      { user: user._id },
+      { $set: { candidates, expiresAt: new Date(Date.now() + CACHE_TTL_MS) } },
+      { upsert: true, new: true }
+    );
+  }
+
+  // The cache may predate a follow, block or dismissal
+  const excluded = new Set((await getExcludedIds(user)).map(id => id.toString()));
+  const fresh = cached.candidates.filter(c => !excluded.has(c.user.toString()));
+
+  const users = await User.find({
+    _id: { $in: fresh.map(c => c.user) },
+    isActive: true,
+    deletionScheduledFor: null
+  }).select('name username avatar bio role isPrivate');
+  const byId = new Map(users.map(u => [u._id.toString(), u]));
+
+  return fresh
+    .filter(c => byId.has(c.user.toString()))
+    .slice(0, limit)
+    .map(c => {
+      const u = byId.get(c.user.toString());
+      return {
+        user: {
+          id: u._id,
+          name: u.name,
+          username: u.username || null,
+          avatar: u.avatar,
+          initials: u.initials,
+          bio: u.bio,
+          role: u.role,
+          isPrivate: u.isPrivate
+        },
+        score: c.score,
+        reasons: c.reasons
+      };
+    });
+};
+
+/**
+ * Never suggest this person again
+ */
+const dismissSuggestion = async (userId, candidateId) => {
+  await User.updateOne(
+    { _id: userId, dismissedSuggestions: { $ne: candidateId } },
+    // Keep the most recent 500 dismissals
+    { $push: { dismissedSuggestions: { $each: [candidateId], $slice: -500 } } }
+  );
+
+  await FollowSuggestion.updateOne(
+    { user: userId },
+    { $pull: { candidates: { user: candidateId } } }
+  );
+};
+
+module.exports = {
+  getSuggestions,
+  dismissSuggestion
+};
@@ -0,0 +1,173 @@
+/**
+ * TOTP Service
+ * RFC 6238 time-based one-time passwords (the codes shown by
+ * Google Authenticator, 1Password, Authy, ...) plus recovery codes
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = 'World Economic Federation';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).trim().toLowerCase())
+  .digest('hex');
+
+/**
+ * Generate a new random secret (base32, 160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the code for a given time step
+ */
+const generateCode = (secret, step = Math.floor(Date.now() / 1000 / STEP_SECONDS)) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code, allowing one step of clock drift either way.
+ * Returns the matching time step (so callers can reject replays)
+ * or null if the code is wrong.
+ */
+const verifyCode = (secret, code, window = 1) => {
+  if (!secret || !/^\d{6}$/.test(String(code || ''))) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = generateCode(secret, currentStep + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return currentStep + drift;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps scan
+ */
+const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generate one-time recovery codes.
+ * Returns the plain codes (shown once) and their hashes (stored).
+ */
+const generateRecoveryCodes = (count = 10) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null }))
+  };
+};
+
+/**
+ * Check a user's second factor: either a current TOTP code or an
+ * unused recovery code. Marks the code as used on the document;
+ * the caller saves the user.
+ * The user must be loaded with +twoFactor.secret +twoFactor.recoveryCodes
+ * +twoFactor.lastUsedStep.
+ */
+const verifySecondFactor = (user, { code, recoveryCode } = {}) => {
+  const twoFactor = user.twoFactor;
+
+  if (code) {
+    const step = verifyCode(twoFactor.secret, code);
+    if (step === null || (twoFactor.lastUsedStep && step <= twoFactor.lastUsedStep)) {
+      return false;
+    }
+    twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const match = (twoFactor.recoveryCodes || []).find(c => c.hash === hash && !c.usedAt);
+    if (!match) return false;
+    match.usedAt = new Date();
+    return true;
+  }
+
+  return false;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  verifySecondFactor
+};
@@ -0,0 +1,124 @@
+/**
+ * Verification Service
+ * Upload handling for verification documents, and the emails that tell
+ * applicants how their request went.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { sendMail, frontendUrl } = require('./mail');
+const {
+  MAX_DOCUMENTS,
+  MAX_DOCUMENT_BYTES,
+  DOCUMENT_TYPES,
+  UPLOAD_DIR
+} = require('../config/verification');
+
+// ===================
+// DOCUMENTS
+// ===================
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(UPLOAD_DIR, { recursive: true }, (error) => cb(error, UPLOAD_DIR));
+    },
+    // Random names: nothing the applicant sends ends up in a path
+    filename: (req, file, cb) => {
+      cb(null, crypto.randomBytes(16).toString('hex') + DOCUMENT_TYPES[file.mimetype]);
+    }
+  }),
+  limits: {
+    files: MAX_DOCUMENTS,
+    fileSize: MAX_DOCUMENT_BYTES
+  },
+  fileFilter: (req, file, cb) => {
+    if (!DOCUMENT_TYPES[file.mimetype]) {
+      const error = new Error('Documents must be PDF, JPEG or PNG files');
+      error.status = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Middleware: accept up to MAX_DOCUMENTS files in the "documents" field
+ */
+const uploadDocuments = (req, res, next) => {
+  upload.array('documents', MAX_DOCUMENTS)(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `Each document must be under ${Math.round(MAX_DOCUMENT_BYTES / 1024 / 1024)} MB`,
+        LIMIT_FILE_COUNT: `You can upload up to ${MAX_DOCUMENTS} documents`,
+        LIMIT_UNEXPECTED_FILE: `You can upload up to ${MAX_DOCUMENTS} documents`
+      };
+      return res.status(400).json({ error: messages[error.code] || 'Upload failed' });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Verification upload error:', error);
+    res.status(500).json({ error: 'Upload failed.' });
+  });
+};
+
+/**
+ * Absolute path of a stored document (storedName is always ours)
+ */
+const documentPath = (document) => path.join(UPLOAD_DIR, path.basename(document.storedName));
+
+/**
+ * Delete stored documents; files already gone are ignored
+ * Accepts request documents ({ storedName }) or multer files ({ filename })
+ */
+const removeDocuments = async (documents = []) => {
+  await Promise.all(documents.map(async (document) => {
+    try {
+      await fs.promises.unlink(documentPath({ storedName: document.storedName || document.filename }));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to remove verification document:', error);
+      }
+    }
+  }));
+};
+
+// ===================
+// NOTIFICATIONS
+// ===================
+
+/**
+ * Tell the applicant about a decision ('approved', 'rejected' or 'revoked').
+ * Never fails the staff action that triggered it.
+ */
+const notifyApplicant = async (user, outcome, { category, reason } = {}) => {
+  const templateName = {
+    approved: 'verificationApproved',
+    rejected: 'verificationRejected',
+    revoked: 'verificationRevoked'
+  }[outcome];
+
+  try {
+    await sendMail(templateName, user.email, {
+      name: user.name,
+      category: category ? category.replace('_', ' ') : '',
+      reason,
+      url: frontendUrl('/')
+    });
+  } catch (error) {
+    console.error(`Failed to send ${templateName} email:`, error);
+  }
+};
+
+module.exports = {
+  uploadDocuments,
+  documentPath,
+  removeDocuments,
+  notifyApplicant
+};